@@ -0,0 +1,695 @@
+//
+// A reader and writer for the Apache Arrow IPC format, which is used to exchange columnar data
+// between processes and languages. See https://arrow.apache.org/docs/format/Columnar.html.
+//
+// This supports the subset of Arrow which maps onto DataCube dimensions and metrics: flat schemas
+// whose columns are integers, floats, booleans, UTF-8 strings, dates, and dictionary-encoded
+// versions of these. The reader accepts both the streaming and the file formats; the writer
+// produces the streaming format. Compressed record batches aren't supported.
+//
+// Arrow's metadata (schemas, and the layout of each record batch) is encoded as flatbuffers, so
+// this also includes a minimal flatbuffer reader and builder.
+
+// The IDs of the types in Arrow's `Type` union.
+const TYPE_IDS = { int: 2, floatingPoint: 3, utf8: 5, bool: 6, date: 8, largeUtf8: 20 };
+// The IDs of the message types in Arrow's `MessageHeader` union.
+const MESSAGE_TYPES = { schema: 1, dictionaryBatch: 2, recordBatch: 3 };
+const FLOAT_PRECISIONS = { half: 0, single: 1, double: 2 };
+// Arrow's MetadataVersion V5.
+const METADATA_VERSION = 4;
+const CONTINUATION_MARKER = 0xffffffff;
+const FILE_MAGIC = "ARROW1";
+
+//
+// Flatbuffer reading.
+//
+
+// A flatbuffer table, from which fields are read by their slot (their index in the schema).
+class FlatbufferTable {
+  constructor(view, pos) {
+    this.view = view;
+    this.pos = pos;
+    this.vtable = pos - view.getInt32(pos, true);
+  }
+
+  // Returns the position of the field in `slot`, or null if the field isn't present.
+  fieldPos(slot) {
+    const vtableOffset = 4 + slot * 2;
+    if (vtableOffset >= this.view.getUint16(this.vtable, true)) return null;
+    const fieldOffset = this.view.getUint16(this.vtable + vtableOffset, true);
+    return fieldOffset == 0 ? null : this.pos + fieldOffset;
+  }
+
+  uint8(slot, defaultValue) {
+    const pos = this.fieldPos(slot);
+    return pos == null ? defaultValue : this.view.getUint8(pos);
+  }
+
+  int16(slot, defaultValue) {
+    const pos = this.fieldPos(slot);
+    return pos == null ? defaultValue : this.view.getInt16(pos, true);
+  }
+
+  int32(slot, defaultValue) {
+    const pos = this.fieldPos(slot);
+    return pos == null ? defaultValue : this.view.getInt32(pos, true);
+  }
+
+  // Returns an int64 field as a Number.
+  int64(slot, defaultValue) {
+    const pos = this.fieldPos(slot);
+    return pos == null ? defaultValue : Number(this.view.getBigInt64(pos, true));
+  }
+
+  bool(slot) {
+    return this.uint8(slot, 0) != 0;
+  }
+
+  // Returns the position which the offset at `pos` points to.
+  static deref(view, pos) {
+    return pos + view.getUint32(pos, true);
+  }
+
+  table(slot) {
+    const pos = this.fieldPos(slot);
+    return pos == null
+      ? null
+      : new FlatbufferTable(this.view, FlatbufferTable.deref(this.view, pos));
+  }
+
+  // Returns { start, length } for a vector field, where start is the position of the first element.
+  vector(slot) {
+    const pos = this.fieldPos(slot);
+    if (pos == null) return { start: 0, length: 0 };
+    const vectorPos = FlatbufferTable.deref(this.view, pos);
+    return { start: vectorPos + 4, length: this.view.getUint32(vectorPos, true) };
+  }
+
+  tables(slot) {
+    const { start, length } = this.vector(slot);
+    return Array.from(
+      { length },
+      (_, i) => new FlatbufferTable(this.view, FlatbufferTable.deref(this.view, start + i * 4)),
+    );
+  }
+
+  // Returns a vector of structs which each consist of two int64s, as an array of pairs of Numbers.
+  int64Pairs(slot) {
+    const { start, length } = this.vector(slot);
+    return Array.from({ length }, (_, i) => [
+      Number(this.view.getBigInt64(start + i * 16, true)),
+      Number(this.view.getBigInt64(start + i * 16 + 8, true)),
+    ]);
+  }
+
+  string(slot) {
+    const { start, length } = this.vector(slot);
+    const bytes = new Uint8Array(this.view.buffer, this.view.byteOffset + start, length);
+    return new TextDecoder().decode(bytes);
+  }
+}
+
+//
+// Flatbuffer building.
+//
+
+// Returns the bytes of a flatbuffer whose root table is `fields`. A table is an array of fields,
+// indexed by slot, where missing fields are null. Each field is `{ type, value }`, where type is
+// one of "uint8", "bool", "int16", "int32", "int64", "table", "tables", "string" or "int64Pairs".
+//
+// Flatbuffers are usually built back to front. This builds them front to back instead, writing
+// each table before the tables and vectors which it refers to, since offsets must point forward.
+function buildFlatbuffer(rootFields) {
+  const writer = new ByteWriter();
+  writer.skip(4);
+  const rootPos = writeFlatbufferTable(writer, rootFields);
+  writer.view.setUint32(0, rootPos, true);
+  return writer.toBytes();
+}
+
+const SCALAR_SIZES = { uint8: 1, bool: 1, int16: 2, int32: 4, int64: 8 };
+
+// Writes a table and its children, and returns the position of the table.
+function writeFlatbufferTable(writer, fields) {
+  // Lay out the fields after the table's 4 byte vtable offset, largest first so they're aligned.
+  const layout = fields
+    .map((field, slot) => ({ ...field, slot, size: SCALAR_SIZES[field?.type] ?? 4 }))
+    .filter((field) => field.type != null)
+    .sort((a, b) => b.size - a.size);
+  const hasInt64 = layout.some((field) => field.size == 8);
+  let tableSize = hasInt64 ? 8 : 4;
+  for (const field of layout) {
+    field.offset = tableSize;
+    tableSize += field.size;
+  }
+  tableSize = Math.ceil(tableSize / 4) * 4;
+
+  writer.align(2);
+  const vtablePos = writer.pos;
+  writer.skip(4 + fields.length * 2);
+  writer.view.setUint16(vtablePos, 4 + fields.length * 2, true);
+  writer.view.setUint16(vtablePos + 2, tableSize, true);
+  for (const field of layout) {
+    writer.view.setUint16(vtablePos + 4 + field.slot * 2, field.offset, true);
+  }
+
+  writer.align(hasInt64 ? 8 : 4);
+  const tablePos = writer.pos;
+  writer.skip(tableSize);
+  writer.view.setInt32(tablePos, tablePos - vtablePos, true);
+  const children = [];
+  for (const field of layout) {
+    const pos = tablePos + field.offset;
+    switch (field.type) {
+      case "uint8":
+      case "bool":
+        writer.view.setUint8(pos, Number(field.value));
+        break;
+      case "int16":
+        writer.view.setInt16(pos, field.value, true);
+        break;
+      case "int32":
+        writer.view.setInt32(pos, field.value, true);
+        break;
+      case "int64":
+        writer.view.setBigInt64(pos, BigInt(field.value), true);
+        break;
+      default:
+        children.push({ pos, field });
+    }
+  }
+  for (const { pos, field } of children) {
+    writer.view.setUint32(pos, writeFlatbufferChild(writer, field) - pos, true);
+  }
+  return tablePos;
+}
+
+// Writes the table, vector or string referred to by a field, and returns its position.
+function writeFlatbufferChild(writer, { type, value }) {
+  if (type == "table") return writeFlatbufferTable(writer, value);
+  if (type == "string") {
+    const bytes = new TextEncoder().encode(value);
+    writer.align(4);
+    const pos = writer.pos;
+    writer.skip(4 + bytes.length + 1);
+    writer.view.setUint32(pos, bytes.length, true);
+    writer.bytes.set(bytes, pos + 4);
+    return pos;
+  }
+  if (type == "int64Pairs") {
+    // The elements must be 8 byte aligned, and they follow the 4 byte length.
+    writer.align(8);
+    writer.skip(4);
+    const pos = writer.pos;
+    writer.skip(4 + value.length * 16);
+    writer.view.setUint32(pos, value.length, true);
+    for (const [i, [a, b]] of value.entries()) {
+      writer.view.setBigInt64(pos + 4 + i * 16, BigInt(a), true);
+      writer.view.setBigInt64(pos + 4 + i * 16 + 8, BigInt(b), true);
+    }
+    return pos;
+  }
+  // A vector of tables.
+  writer.align(4);
+  const pos = writer.pos;
+  writer.skip(4 + value.length * 4);
+  writer.view.setUint32(pos, value.length, true);
+  for (const [i, table] of value.entries()) {
+    const elementPos = pos + 4 + i * 4;
+    writer.view.setUint32(elementPos, writeFlatbufferTable(writer, table) - elementPos, true);
+  }
+  return pos;
+}
+
+// A growable buffer of bytes.
+class ByteWriter {
+  constructor() {
+    this.bytes = new Uint8Array(1024);
+    this.view = new DataView(this.bytes.buffer);
+    this.pos = 0;
+  }
+
+  // Advances the position by `length` zeroed bytes, growing the buffer if necessary.
+  skip(length) {
+    const end = this.pos + length;
+    if (end > this.bytes.length) {
+      const bytes = new Uint8Array(Math.max(end, this.bytes.length * 2));
+      bytes.set(this.bytes);
+      this.bytes = bytes;
+      this.view = new DataView(bytes.buffer);
+    }
+    this.pos = end;
+  }
+
+  align(alignment) {
+    this.skip((alignment - this.pos % alignment) % alignment);
+  }
+
+  write(bytes) {
+    const pos = this.pos;
+    this.skip(bytes.length);
+    this.bytes.set(bytes, pos);
+  }
+
+  toBytes() {
+    return this.bytes.slice(0, this.pos);
+  }
+}
+
+//
+// Reading.
+//
+
+// Decodes Arrow IPC data (in the streaming or file format) into columns. Returns
+// { length, columns }, where `columns` is a map of column name => column. A column is an array or
+// typed array of its values, or for dictionary-encoded columns, `{ indices, dictionary }`, where
+// `indices` is an Int32Array of indices into the `dictionary` array. Nulls are represented as null
+// values, or for dictionary-encoded columns, by a null in the dictionary. 64 bit integers are read
+// as BigInts, and dates are read as strings of the form "YYYY-MM-DD".
+// - bytes: a Uint8Array or ArrayBuffer.
+export function decodeArrowIpc(bytes) {
+  if (bytes instanceof ArrayBuffer) bytes = new Uint8Array(bytes);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = 0;
+  let end = bytes.length;
+  let fields = null;
+  // For each field, the chunks of its values, one per record batch.
+  let chunks = null;
+  // The file format starts with magic bytes, padded to 8 bytes, which are followed by the messages
+  // of the streaming format, except that the schema can be omitted. It ends with a `Footer`
+  // flatbuffer, the footer's length as an int32, and the magic bytes again. The footer contains the
+  // schema, and the locations of the messages, which are read in order here instead.
+  if (new TextDecoder().decode(bytes.subarray(0, FILE_MAGIC.length)) == FILE_MAGIC) {
+    pos = 8;
+    const footerLength = view.getInt32(bytes.length - FILE_MAGIC.length - 4, true);
+    end = bytes.length - FILE_MAGIC.length - 4 - footerLength;
+    const footerView = new DataView(bytes.buffer, bytes.byteOffset + end, footerLength);
+    const footer = new FlatbufferTable(footerView, footerView.getUint32(0, true));
+    fields = footer.table(1).tables(1).map(readField);
+    chunks = fields.map(() => []);
+  }
+
+  // Map of dictionary ID => array of the dictionary's values.
+  const dictionaries = new Map();
+  let length = 0;
+
+  while (pos + 4 <= end) {
+    let metadataLength = view.getInt32(pos, true);
+    pos += 4;
+    // Messages start with a continuation marker, except in data written before Arrow 0.15.
+    if (metadataLength == -1) {
+      metadataLength = view.getInt32(pos, true);
+      pos += 4;
+    }
+    if (metadataLength == 0) break;
+    const metadataView = new DataView(bytes.buffer, bytes.byteOffset + pos, metadataLength);
+    const message = new FlatbufferTable(metadataView, metadataView.getUint32(0, true));
+    pos += metadataLength;
+    const bodyLength = message.int64(3, 0);
+    const body = bytes.subarray(pos, pos + bodyLength);
+    pos += bodyLength;
+
+    const messageType = message.uint8(1, 0);
+    const header = message.table(2);
+    if (messageType == MESSAGE_TYPES.schema) {
+      fields = header.tables(1).map(readField);
+      chunks = fields.map(() => []);
+    } else if (messageType == MESSAGE_TYPES.dictionaryBatch) {
+      const id = header.int64(0, 0);
+      const field = fields.find((f) => f.dictionaryId == id);
+      const [values] = readRecordBatch(header.table(1), body, [{ ...field, dictionaryId: null }]);
+      const isDelta = header.bool(2);
+      dictionaries.set(id, isDelta ? dictionaries.get(id).concat(Array.from(values)) : values);
+    } else if (messageType == MESSAGE_TYPES.recordBatch) {
+      const batch = readRecordBatch(header, body, fields);
+      for (const [i, field] of fields.entries()) {
+        const values = batch[i];
+        if (field.dictionaryId == null) {
+          chunks[i].push(values);
+        } else {
+          // Dictionaries can be replaced between batches, so the indices are resolved now.
+          chunks[i].push({ indices: values, dictionary: dictionaries.get(field.dictionaryId) });
+        }
+      }
+      length += header.int64(0, 0);
+    }
+  }
+  if (fields == null) throw new Error("The Arrow data has no schema.");
+
+  const columns = {};
+  for (const [i, field] of fields.entries()) {
+    columns[field.name] = field.dictionaryId == null
+      ? concatChunks(chunks[i])
+      : concatDictionaryChunks(chunks[i]);
+  }
+  return { length, columns };
+}
+
+// Reads an Arrow `Field` table into { name, type, dictionaryId }, where `type` describes the type
+// of the field's values (or for dictionary-encoded fields, the type of the dictionary's values).
+function readField(field) {
+  const name = field.string(0);
+  const typeId = field.uint8(2, 0);
+  const typeTable = field.table(3);
+  let type;
+  if (typeId == TYPE_IDS.int) {
+    type = { kind: "int", bitWidth: typeTable.int32(0, 0), signed: typeTable.bool(1) };
+  } else if (typeId == TYPE_IDS.floatingPoint) {
+    const precision = typeTable.int16(0, 0);
+    if (precision == FLOAT_PRECISIONS.half) {
+      throw new Error(
+        `The Arrow column ${name} has half precision floats, which aren't supported.`,
+      );
+    }
+    type = { kind: "float", bitWidth: precision == FLOAT_PRECISIONS.single ? 32 : 64 };
+  } else if (typeId == TYPE_IDS.utf8 || typeId == TYPE_IDS.largeUtf8) {
+    type = { kind: "utf8", offsetBitWidth: typeId == TYPE_IDS.utf8 ? 32 : 64 };
+  } else if (typeId == TYPE_IDS.bool) {
+    type = { kind: "bool" };
+  } else if (typeId == TYPE_IDS.date) {
+    // DateUnit: 0 is days, and 1 (the default) is milliseconds.
+    type = { kind: "date", unit: typeTable.int16(0, 1) == 0 ? "day" : "millisecond" };
+  } else {
+    throw new Error(`The Arrow column ${name} has a type (ID ${typeId}) which isn't supported.`);
+  }
+  const dictionary = field.table(4);
+  if (dictionary == null) return { name, type, dictionaryId: null };
+  const indexType = dictionary.table(1);
+  return {
+    name,
+    type,
+    dictionaryId: dictionary.int64(0, 0),
+    indexType: indexType == null
+      ? { kind: "int", bitWidth: 32, signed: true }
+      : { kind: "int", bitWidth: indexType.int32(0, 0), signed: indexType.bool(1) },
+  };
+}
+
+// Returns the values of each field in a `RecordBatch`, as arrays or typed arrays. For dictionary-
+// encoded fields, these are the indices into the dictionary, as an Int32Array, with -1 for nulls.
+function readRecordBatch(recordBatch, body, fields) {
+  if (recordBatch.table(3) != null) {
+    throw new Error("Compressed Arrow record batches aren't supported.");
+  }
+  const nodes = recordBatch.int64Pairs(1);
+  const buffers = recordBatch.int64Pairs(2);
+  let bufferIndex = 0;
+  // Returns a copy of the next buffer, so that it's aligned for typed arrays.
+  const nextBuffer = () => {
+    const [offset, length] = buffers[bufferIndex++];
+    return body.slice(offset, offset + length).buffer;
+  };
+  return fields.map((field, i) => {
+    const [length, nullCount] = nodes[i];
+    const validityBuffer = nextBuffer();
+    const isValid = nullCount == 0 ? null : (() => {
+      const validity = new Uint8Array(validityBuffer);
+      return (j) => (validity[j >> 3] & (1 << (j & 7))) != 0;
+    })();
+    if (field.dictionaryId != null) {
+      const indices = Int32Array.from(readNumbers(field.indexType, nextBuffer(), length));
+      if (isValid) {
+        for (let j = 0; j < length; j++) if (!isValid(j)) indices[j] = -1;
+      }
+      return indices;
+    }
+    const type = field.type;
+    let values;
+    if (type.kind == "int" || type.kind == "float") {
+      values = readNumbers(type, nextBuffer(), length);
+    } else if (type.kind == "bool") {
+      const bits = new Uint8Array(nextBuffer());
+      values = Array.from({ length }, (_, j) => (bits[j >> 3] & (1 << (j & 7))) != 0);
+    } else if (type.kind == "date") {
+      const numbers = readNumbers(
+        { kind: "int", bitWidth: type.unit == "day" ? 32 : 64, signed: true },
+        nextBuffer(),
+        length,
+      );
+      const msPerUnit = type.unit == "day" ? 86_400_000 : 1;
+      values = Array.from(
+        numbers,
+        (n) => new Date(Number(n) * msPerUnit).toISOString().slice(0, 10),
+      );
+    } else if (type.kind == "utf8") {
+      const offsets = readNumbers(
+        { kind: "int", bitWidth: type.offsetBitWidth, signed: true },
+        nextBuffer(),
+        length + 1,
+      );
+      const data = new Uint8Array(nextBuffer());
+      const decoder = new TextDecoder();
+      values = Array.from(
+        { length },
+        (_, j) => decoder.decode(data.subarray(Number(offsets[j]), Number(offsets[j + 1]))),
+      );
+    }
+    if (isValid) {
+      values = Array.from(values);
+      for (let j = 0; j < length; j++) if (!isValid(j)) values[j] = null;
+    }
+    return values;
+  });
+}
+
+// Returns a typed array of `length` numbers of the given int or float type, read from `buffer`.
+function readNumbers(type, buffer, length) {
+  let arrayType;
+  if (type.kind == "float") {
+    arrayType = type.bitWidth == 32 ? Float32Array : Float64Array;
+  } else {
+    arrayType = {
+      8: type.signed ? Int8Array : Uint8Array,
+      16: type.signed ? Int16Array : Uint16Array,
+      32: type.signed ? Int32Array : Uint32Array,
+      64: type.signed ? BigInt64Array : BigUint64Array,
+    }[type.bitWidth];
+  }
+  return new arrayType(buffer, 0, length);
+}
+
+// Concatenates chunks of values, which are arrays or typed arrays.
+function concatChunks(chunks) {
+  if (chunks.length == 1) return chunks[0];
+  const isTyped = chunks.length > 0 &&
+    chunks.every((c) => !Array.isArray(c) && c.constructor == chunks[0].constructor);
+  if (!isTyped) return chunks.flatMap((c) => Array.from(c));
+  const result = new chunks[0].constructor(chunks.reduce((sum, c) => sum + c.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+// Concatenates chunks of a dictionary-encoded column, which may each use a different dictionary,
+// into a single { indices, dictionary }.
+function concatDictionaryChunks(chunks) {
+  const dictionary = [];
+  // Map of dictionary value => index in `dictionary`.
+  const valueToIndex = new Map();
+  const getIndex = (value) => {
+    let index = valueToIndex.get(value);
+    if (index == null) {
+      index = dictionary.push(value) - 1;
+      valueToIndex.set(value, index);
+    }
+    return index;
+  };
+  const indices = new Int32Array(chunks.reduce((sum, c) => sum + c.indices.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    const indexMap = Array.from(chunk.dictionary, getIndex);
+    for (let j = 0; j < chunk.indices.length; j++) {
+      const index = chunk.indices[j];
+      indices[offset + j] = index == -1 ? getIndex(null) : indexMap[index];
+    }
+    offset += chunk.indices.length;
+  }
+  return { indices, dictionary };
+}
+
+//
+// Writing.
+//
+
+// Encodes columns as Arrow IPC data in the streaming format, and returns it as a Uint8Array.
+// - columns: an array of { name, type, values }, where type is one of "int32", "uint32", "int64",
+//   "float32", "float64", "bool", "utf8" or "dictionary". `values` is an array or typed array,
+//   which can contain nulls if it's an array. Dictionary-encoded columns have `indices` (an array
+//   of indices into `dictionary`, or null) and `dictionary` (an array of strings) instead.
+// - length: the number of rows.
+// - options: optional.
+//   - batchSize: the maximum number of rows per record batch. Defaults to 1,000,000.
+export function encodeArrowIpc(columns, length, options) {
+  const batchSize = options?.batchSize ?? 1_000_000;
+  const writer = new ByteWriter();
+  const schemaFields = columns.map((column, i) => {
+    const field = [
+      { type: "string", value: column.name },
+      { type: "bool", value: true },
+      { type: "uint8", value: TYPE_IDS[getArrowType(column.type).typeName] },
+      { type: "table", value: getArrowType(column.type).fields },
+      null,
+      { type: "tables", value: [] },
+    ];
+    if (column.type == "dictionary") {
+      field[4] = {
+        type: "table",
+        value: [{ type: "int64", value: i }, {
+          type: "table",
+          value: getArrowType("int32").fields,
+        }],
+      };
+    }
+    return field;
+  });
+  writeMessage(writer, MESSAGE_TYPES.schema, [null, { type: "tables", value: schemaFields }], []);
+
+  for (const [i, column] of columns.entries()) {
+    if (column.type != "dictionary") continue;
+    const batch = encodeRecordBatch(
+      [{ type: "utf8", values: column.dictionary }],
+      0,
+      column.dictionary.length,
+    );
+    writeMessage(writer, MESSAGE_TYPES.dictionaryBatch, [
+      { type: "int64", value: i },
+      { type: "table", value: batch.fields },
+    ], batch.buffers);
+  }
+
+  for (let start = 0; start < length || start == 0; start += batchSize) {
+    const end = Math.min(length, start + batchSize);
+    const batch = encodeRecordBatch(columns, start, end);
+    writeMessage(writer, MESSAGE_TYPES.recordBatch, batch.fields, batch.buffers);
+    if (end == length) break;
+  }
+  // The end-of-stream marker.
+  writer.write(new Uint8Array([0xff, 0xff, 0xff, 0xff, 0, 0, 0, 0]));
+  return writer.toBytes();
+}
+
+// Returns the Arrow type (the name of the type in TYPE_IDS, and the fields of its table) for one of
+// the column types accepted by encodeArrowIpc.
+function getArrowType(type) {
+  const int = (bitWidth, signed) => ({
+    typeName: "int",
+    fields: [{ type: "int32", value: bitWidth }, { type: "bool", value: signed }],
+  });
+  const float = (precision) => ({
+    typeName: "floatingPoint",
+    fields: [{ type: "int16", value: precision }],
+  });
+  switch (type) {
+    case "int32":
+      return int(32, true);
+    case "uint32":
+      return int(32, false);
+    case "int64":
+      return int(64, true);
+    case "float32":
+      return float(FLOAT_PRECISIONS.single);
+    case "float64":
+      return float(FLOAT_PRECISIONS.double);
+    case "bool":
+      return { typeName: "bool", fields: [] };
+    case "utf8":
+    case "dictionary":
+      return { typeName: "utf8", fields: [] };
+  }
+  throw new Error(`Unknown Arrow column type "${type}".`);
+}
+
+const ARRAY_TYPES = {
+  int32: Int32Array,
+  uint32: Uint32Array,
+  int64: BigInt64Array,
+  float32: Float32Array,
+  float64: Float64Array,
+};
+
+// Returns the fields of a `RecordBatch` table for the rows [start, end) of `columns`, and the
+// buffers of its body.
+function encodeRecordBatch(columns, start, end) {
+  const length = end - start;
+  const nodes = [];
+  const buffers = [];
+  for (const column of columns) {
+    const values = column.type == "dictionary" ? column.indices : column.values;
+    let nullCount = 0;
+    const validity = new Uint8Array(Math.ceil(length / 8));
+    for (let j = 0; j < length; j++) {
+      if (values[start + j] == null) {
+        nullCount++;
+      } else {
+        validity[j >> 3] |= 1 << (j & 7);
+      }
+    }
+    nodes.push([length, nullCount]);
+    buffers.push(nullCount == 0 ? new Uint8Array(0) : validity);
+
+    if (column.type == "bool") {
+      const bits = new Uint8Array(Math.ceil(length / 8));
+      for (let j = 0; j < length; j++) if (values[start + j]) bits[j >> 3] |= 1 << (j & 7);
+      buffers.push(bits);
+    } else if (column.type == "utf8") {
+      const encoder = new TextEncoder();
+      const encoded = [];
+      const offsets = new Int32Array(length + 1);
+      for (let j = 0; j < length; j++) {
+        const bytes = encoder.encode(values[start + j] ?? "");
+        encoded.push(bytes);
+        offsets[j + 1] = offsets[j] + bytes.length;
+      }
+      const data = new Uint8Array(offsets[length]);
+      for (let j = 0; j < length; j++) data.set(encoded[j], offsets[j]);
+      buffers.push(new Uint8Array(offsets.buffer), data);
+    } else {
+      const arrayType = ARRAY_TYPES[column.type == "dictionary" ? "int32" : column.type];
+      const numbers = new arrayType(length);
+      const zero = arrayType == BigInt64Array ? 0n : 0;
+      for (let j = 0; j < length; j++) numbers[j] = values[start + j] ?? zero;
+      buffers.push(new Uint8Array(numbers.buffer));
+    }
+  }
+  // Each buffer is padded to a multiple of 8 bytes.
+  let offset = 0;
+  const bufferLayout = buffers.map((buffer) => {
+    const layout = [offset, buffer.length];
+    offset += Math.ceil(buffer.length / 8) * 8;
+    return layout;
+  });
+  return {
+    fields: [
+      { type: "int64", value: length },
+      { type: "int64Pairs", value: nodes },
+      { type: "int64Pairs", value: bufferLayout },
+    ],
+    buffers,
+  };
+}
+
+// Writes an encapsulated message: a continuation marker, the length of the metadata, the metadata
+// (a `Message` flatbuffer), and the body, which is the concatenation of `buffers`.
+function writeMessage(writer, messageType, headerFields, buffers) {
+  const bodyLength = buffers.reduce((sum, b) => sum + Math.ceil(b.length / 8) * 8, 0);
+  const metadata = buildFlatbuffer([
+    { type: "int16", value: METADATA_VERSION },
+    { type: "uint8", value: messageType },
+    { type: "table", value: headerFields },
+    { type: "int64", value: bodyLength },
+  ]);
+  const metadataLength = Math.ceil(metadata.length / 8) * 8;
+  const prefix = new DataView(new ArrayBuffer(8));
+  prefix.setUint32(0, CONTINUATION_MARKER, true);
+  prefix.setInt32(4, metadataLength, true);
+  writer.write(new Uint8Array(prefix.buffer));
+  writer.write(metadata);
+  writer.align(8);
+  for (const buffer of buffers) {
+    writer.write(buffer);
+    writer.align(8);
+  }
+}
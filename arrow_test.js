@@ -0,0 +1,46 @@
+import * as shoulda from "@philc/shoulda";
+const { assert, context, should } = shoulda;
+
+import { decodeArrowIpc, encodeArrowIpc } from "./arrow.js";
+
+context("Arrow IPC", () => {
+  should("round-trip each column type across record batches", () => {
+    const columns = [
+      { name: "i", type: "int32", values: Int32Array.from([1, -2, 3]) },
+      { name: "u", type: "uint32", values: Uint32Array.from([1, 2, 3]) },
+      { name: "big", type: "int64", values: BigInt64Array.from([1n, 2n, -3n]) },
+      { name: "f", type: "float32", values: Float32Array.from([0.5, 1.5, 2.5]) },
+      { name: "d", type: "float64", values: [0.25, null, 1] },
+      { name: "b", type: "bool", values: [true, false, null] },
+      { name: "s", type: "utf8", values: ["é", null, ""] },
+      { name: "dict", type: "dictionary", indices: [1, 0, null], dictionary: ["x", "y"] },
+    ];
+    const { length, columns: decoded } = decodeArrowIpc(
+      encodeArrowIpc(columns, 3, { batchSize: 2 }),
+    );
+    assert.equal(3, length);
+    assert.equal(Int32Array.from([1, -2, 3]), decoded.i);
+    assert.equal(Uint32Array.from([1, 2, 3]), decoded.u);
+    assert.equal(BigInt64Array.from([1n, 2n, -3n]), decoded.big);
+    assert.equal(Float32Array.from([0.5, 1.5, 2.5]), decoded.f);
+    assert.equal([0.25, null, 1], decoded.d);
+    assert.equal([true, false, null], decoded.b);
+    assert.equal(["é", null, ""], decoded.s);
+    assert.equal(
+      { indices: Int32Array.from([1, 0, 2]), dictionary: ["x", "y", null] },
+      decoded.dict,
+    );
+  });
+
+  should("decode an empty table", () => {
+    const columns = [{ name: "i", type: "int32", values: new Int32Array(0) }];
+    assert.equal(
+      { length: 0, columns: { i: new Int32Array(0) } },
+      decodeArrowIpc(encodeArrowIpc(columns, 0)),
+    );
+  });
+
+  should("throw on data without a schema", () => {
+    assert.throwsError(() => decodeArrowIpc(new Uint8Array(8)));
+  });
+});
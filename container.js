@@ -0,0 +1,190 @@
+//
+// A versioned single-file container, which DataCube uses to store a datacube and its
+// materializations in one file. A container holds a JSON manifest and a list of chunks of bytes,
+// which can each be read on their own, so that a reader can fetch only the chunks it needs using
+// HTTP range requests or partial file reads.
+//
+// The layout of a container is:
+// - a 16 byte header: the magic bytes "DCJS", then the format version, the byte length of the
+//   manifest and the CRC-32 checksum of the manifest, each a little-endian uint32.
+// - the manifest, as UTF-8 JSON. Besides the caller's manifest, it describes every chunk: its
+//   offset from the end of the manifest, its stored length, its length once decompressed, and the
+//   CRC-32 checksum of its stored bytes.
+// - the chunks, one after the other, each optionally compressed.
+
+const MAGIC = "DCJS";
+const HEADER_SIZE = 16;
+// The version of the format which encodeContainer writes. Readers reject containers written with a
+// newer version, since they can't know how to read them.
+export const FORMAT_VERSION = 1;
+// The formats which chunks can be compressed with. These are the formats of CompressionStream.
+const COMPRESSION_FORMATS = ["gzip", "deflate", "deflate-raw"];
+// The number of bytes which ContainerReader reads when it opens a container. This usually includes
+// the whole manifest, so that opening a container takes a single read.
+const INITIAL_READ_SIZE = 64 * 1024;
+
+const CRC_TABLE = new Uint32Array(256);
+for (let i = 0; i < 256; i++) {
+  let c = i;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  CRC_TABLE[i] = c;
+}
+
+// Returns the CRC-32 checksum of `bytes`, as used by gzip and PNG.
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Returns the bytes produced by passing `bytes` through a TransformStream, e.g. a compressor.
+async function transformBytes(bytes, transformStream) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transformStream);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Returns the bytes of a container, as a list of parts which should be written one after the other.
+// - manifest: a JSON-serializable object, which ContainerReader returns as its `manifest`.
+// - chunks: a list of Uint8Arrays. Readers refer to chunks by their index in this list.
+// - options: optional.
+//   - compression: the format to compress each chunk with: "gzip", "deflate" or "deflate-raw".
+//     Chunks aren't compressed by default.
+export async function encodeContainer(manifest, chunks, options) {
+  const compression = options?.compression || null;
+  if (compression != null && !COMPRESSION_FORMATS.includes(compression)) {
+    throw new Error(
+      `Unknown compression format "${compression}". Valid formats: [${COMPRESSION_FORMATS}].`,
+    );
+  }
+  const storedChunks = [];
+  const chunkInfos = [];
+  let offset = 0;
+  for (const chunk of chunks) {
+    const stored = compression
+      ? await transformBytes(chunk, new CompressionStream(compression))
+      : chunk;
+    storedChunks.push(stored);
+    chunkInfos.push({
+      offset,
+      length: stored.length,
+      byteLength: chunk.length,
+      checksum: crc32(stored),
+    });
+    offset += stored.length;
+  }
+  const manifestBytes = new TextEncoder().encode(
+    JSON.stringify({ manifest, compression, chunks: chunkInfos }),
+  );
+  const header = new Uint8Array(HEADER_SIZE + manifestBytes.length);
+  header.set(new TextEncoder().encode(MAGIC));
+  const view = new DataView(header.buffer);
+  view.setUint32(4, FORMAT_VERSION, true);
+  view.setUint32(8, manifestBytes.length, true);
+  view.setUint32(12, crc32(manifestBytes), true);
+  header.set(manifestBytes, HEADER_SIZE);
+  return [header].concat(storedChunks);
+}
+
+// Reads the manifest and chunks of a container. Each chunk is read only when it's requested, and
+// its checksum is verified. Truncated and corrupted containers produce errors which say so.
+export class ContainerReader {
+  // Use ContainerReader.open rather than this constructor.
+  constructor(readRange, name, container, dataOffset) {
+    this._readRange = readRange;
+    this.name = name;
+    this.manifest = container.manifest;
+    this.compression = container.compression;
+    this._chunks = container.chunks;
+    // The offset of the first chunk in the container.
+    this._dataOffset = dataOffset;
+  }
+
+  // Reads the header and manifest of a container, and returns a ContainerReader for it.
+  // - readRange: a function which takes a byte offset and a length, and returns a promise of a
+  //   Uint8Array of the bytes in that range. It can return fewer bytes than requested only when the
+  //   range extends past the end of the container. See the `rangeReader` of the adapters in
+  //   storage.js.
+  // - name: the name of the container, e.g. its URL, which is used in error messages.
+  static async open(readRange, name) {
+    const initialBytes = await readRange(0, INITIAL_READ_SIZE);
+    if (initialBytes.length < HEADER_SIZE) {
+      throw new Error(
+        `${name} is truncated: its header is ${HEADER_SIZE} bytes, but the file is only ` +
+          `${initialBytes.length} bytes.`,
+      );
+    }
+    if (new TextDecoder().decode(initialBytes.subarray(0, MAGIC.length)) != MAGIC) {
+      throw new Error(`${name} isn't a datacube file: it doesn't start with "${MAGIC}".`);
+    }
+    const view = new DataView(initialBytes.buffer, initialBytes.byteOffset, HEADER_SIZE);
+    const version = view.getUint32(4, true);
+    if (version > FORMAT_VERSION) {
+      throw new Error(
+        `${name} was written with version ${version} of the datacube file format, but only ` +
+          `versions up to ${FORMAT_VERSION} can be read. Upgrade datacube.js to read it.`,
+      );
+    }
+    const manifestLength = view.getUint32(8, true);
+    let manifestBytes = initialBytes.subarray(HEADER_SIZE, HEADER_SIZE + manifestLength);
+    if (manifestBytes.length < manifestLength && initialBytes.length == INITIAL_READ_SIZE) {
+      manifestBytes = await readRange(HEADER_SIZE, manifestLength);
+    }
+    if (manifestBytes.length < manifestLength) {
+      throw new Error(
+        `${name} is truncated: its manifest is ${manifestLength} bytes, but only ` +
+          `${manifestBytes.length} bytes remain.`,
+      );
+    }
+    if (crc32(manifestBytes) != view.getUint32(12, true)) {
+      throw new Error(`${name} is corrupted: the checksum of its manifest doesn't match.`);
+    }
+    const container = JSON.parse(new TextDecoder().decode(manifestBytes));
+    return new ContainerReader(readRange, name, container, HEADER_SIZE + manifestLength);
+  }
+
+  // Returns the number of chunks in the container.
+  get chunkCount() {
+    return this._chunks.length;
+  }
+
+  // Returns a promise of the bytes of the chunk at `index`, decompressed.
+  async readChunk(index) {
+    const chunk = this._chunks[index];
+    if (chunk == null) {
+      throw new Error(`${this.name} has no chunk ${index}; it has ${this._chunks.length} chunks.`);
+    }
+    let bytes = chunk.length == 0
+      ? new Uint8Array(0)
+      : await this._readRange(this._dataOffset + chunk.offset, chunk.length);
+    if (bytes.length < chunk.length) {
+      throw new Error(
+        `${this.name} is truncated: chunk ${index} is ${chunk.length} bytes, but only ` +
+          `${bytes.length} bytes of it remain.`,
+      );
+    }
+    if (crc32(bytes) != chunk.checksum) {
+      throw new Error(`${this.name} is corrupted: the checksum of chunk ${index} doesn't match.`);
+    }
+    if (this.compression) {
+      try {
+        bytes = await transformBytes(bytes, new DecompressionStream(this.compression));
+      } catch (error) {
+        throw new Error(`${this.name} is corrupted: chunk ${index} can't be decompressed.`, {
+          cause: error,
+        });
+      }
+    }
+    if (bytes.length != chunk.byteLength) {
+      throw new Error(
+        `${this.name} is corrupted: chunk ${index} should be ${chunk.byteLength} bytes, but is ` +
+          `${bytes.length} bytes.`,
+      );
+    }
+    return bytes;
+  }
+}
+
+// Returns a readRange function for ContainerReader.open which reads from `bytes`, a Uint8Array.
+export function bytesRangeReader(bytes) {
+  return (offset, length) => Promise.resolve(bytes.subarray(offset, offset + length));
+}
@@ -0,0 +1,100 @@
+import * as shoulda from "@philc/shoulda";
+const { assert, context, should } = shoulda;
+
+import {
+  bytesRangeReader,
+  ContainerReader,
+  crc32,
+  encodeContainer,
+  FORMAT_VERSION,
+} from "./container.js";
+
+// Returns the parts returned by encodeContainer, concatenated.
+function concat(parts) {
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+// Returns the error message of the promise `promise`, which should be rejected.
+async function getErrorMessage(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error.message;
+  }
+  throw new Error("The promise wasn't rejected.");
+}
+
+context("container", () => {
+  const chunks = [Uint8Array.from([1, 2, 3]), new Uint8Array(0), new Uint8Array(1000).fill(7)];
+
+  should("compute CRC-32 checksums", () => {
+    assert.equal(0xcbf43926, crc32(new TextEncoder().encode("123456789")));
+  });
+
+  should("round trip a manifest and chunks, with and without compression", async () => {
+    for (const compression of [null, "gzip"]) {
+      const bytes = concat(await encodeContainer({ a: 1 }, chunks, { compression }));
+      const reader = await ContainerReader.open(bytesRangeReader(bytes), "dc");
+      assert.equal({ a: 1 }, reader.manifest);
+      assert.equal(3, reader.chunkCount);
+      for (const [i, chunk] of chunks.entries()) {
+        assert.equal(chunk, await reader.readChunk(i));
+      }
+    }
+  });
+
+  should("only read the ranges which are needed", async () => {
+    const bytes = concat(await encodeContainer({}, chunks));
+    const reads = [];
+    const readRange = (offset, length) => {
+      reads.push([offset, length]);
+      return bytesRangeReader(bytes)(offset, length);
+    };
+    const reader = await ContainerReader.open(readRange, "dc");
+    await reader.readChunk(0);
+    assert.equal(2, reads.length);
+    assert.equal(3, reads[1][1]);
+  });
+
+  should("report truncated and corrupted containers", async () => {
+    const bytes = concat(await encodeContainer({ a: 1 }, chunks));
+    const open = (bytes) => ContainerReader.open(bytesRangeReader(bytes), "dc");
+    assert.equal(
+      "dc is truncated: its header is 16 bytes, but the file is only 10 bytes.",
+      await getErrorMessage(open(bytes.subarray(0, 10))),
+    );
+    assert.isTrue((await getErrorMessage(open(bytes.subarray(0, 20)))).includes("is truncated"));
+    assert.equal(
+      "dc is truncated: chunk 2 is 1000 bytes, but only 10 bytes of it remain.",
+      await getErrorMessage((await open(bytes.subarray(0, bytes.length - 990))).readChunk(2)),
+    );
+
+    const corrupted = bytes.slice(0);
+    corrupted[corrupted.length - 1] = 0;
+    assert.equal(
+      "dc is corrupted: the checksum of chunk 2 doesn't match.",
+      await getErrorMessage((await open(corrupted)).readChunk(2)),
+    );
+    corrupted[20] ^= 1;
+    assert.equal(
+      "dc is corrupted: the checksum of its manifest doesn't match.",
+      await getErrorMessage(open(corrupted)),
+    );
+  });
+
+  should("reject files which aren't containers, or have a newer version", async () => {
+    const open = (bytes) => ContainerReader.open(bytesRangeReader(bytes), "dc");
+    assert.isTrue(
+      (await getErrorMessage(open(new Uint8Array(100)))).includes("isn't a datacube file"),
+    );
+    const bytes = concat(await encodeContainer({}, []));
+    new DataView(bytes.buffer).setUint32(4, FORMAT_VERSION + 1, true);
+    assert.isTrue((await getErrorMessage(open(bytes))).includes(`version ${FORMAT_VERSION + 1}`));
+  });
+});
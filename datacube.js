@@ -10,13 +10,30 @@
 //   [{ genre: "Fiction", title: "Pride and Prejudice", author: "Jane Austen", day: "2023-01-01" },
 //    { sales: 100, revenue: 2130.05, views: 5000 }]
 
+import { HyperLogLogColumn } from "./hyperloglog.js";
+import { TDigestColumn } from "./tdigest.js";
+import { decodeArrowIpc, encodeArrowIpc } from "./arrow.js";
+import { bytesRangeReader, ContainerReader, encodeContainer } from "./container.js";
+import { denoFileStorage, urlStorage } from "./storage.js";
+import { createColumnarJsonStream, createCsvStream, createNdjsonStream } from "./exporters.js";
+
+export { CsvParserStream, NdjsonParserStream } from "./parsers.js";
+export {
+  denoFileStorage,
+  indexedDbStorage,
+  nodeFileStorage,
+  opfsStorage,
+  urlStorage,
+} from "./storage.js";
+
 // An array-like type that allocates its backing arrays in large pages.
 // This prevents GC as the array grows.
 class PagedArray {
   // Constructor can take either a pageSize (in bytes), or an ArrayBuffer.
   // - arrayType: A typed array type, e.g. UInt32Array.
   // - arg: optional; an ArrayBuffer or a pageSize.
-  //   When arg is an ArrayBuffer, pageSize will be equal to its length.
+  //   When arg is an ArrayBuffer, it's used as the first page, and later pages have the default
+  //   size.
   constructor(arrayType, arg) {
     this.pages = [];
     this.arrayType = arrayType;
@@ -28,13 +45,20 @@ class PagedArray {
       if (bytes % this.BYTES_PER_ELEMENT != 0) {
         throw new Error(`ArrayBuffer's length should be a multiple of ${this.BYTES_PER_ELEMENT}.`);
       }
-      pageSize = arg.byteLength;
-      this.pages[0] = new this.arrayType(arg);
       this._length = bytes / this.BYTES_PER_ELEMENT;
-    } else if (arg instanceof Number) {
+      if (this._length > 0) this.pages[0] = new this.arrayType(arg);
+    } else if (typeof arg == "number") {
       pageSize = arg;
     }
     this.pageSize = pageSize;
+    // The number of elements in the first page, which differs from pageSize when the first page is
+    // an ArrayBuffer which was loaded. Elements appended after it are placed in subsequent pages.
+    this._firstPageSize = this.pages.length > 0 ? this._length : pageSize;
+  }
+
+  // Returns the index of the first element which is stored in the page at `pageIndex`.
+  getPageOffset(pageIndex) {
+    return pageIndex == 0 ? 0 : this._firstPageSize + (pageIndex - 1) * this.pageSize;
   }
 
   copy(offset, destPagedArray, destOffset, length) {
@@ -48,21 +72,26 @@ class PagedArray {
     if (i >= this.length) {
       return null;
     }
-    const page = Math.floor(i / this.pageSize);
-    const indexInPage = i % this.pageSize;
-    return this.pages[page][indexInPage];
+    if (i < this._firstPageSize) return this.pages[0][i];
+    const j = i - this._firstPageSize;
+    return this.pages[1 + Math.floor(j / this.pageSize)][j % this.pageSize];
   }
 
   set(i, v) {
     if (i >= this._length) {
       this._length = i + 1;
     }
-    const page = Math.floor(i / this.pageSize);
-    const indexInPage = i % this.pageSize;
+    let page = 0;
+    let indexInPage = i;
+    if (i >= this._firstPageSize) {
+      const j = i - this._firstPageSize;
+      page = 1 + Math.floor(j / this.pageSize);
+      indexInPage = j % this.pageSize;
+    }
     if (this.pages.length <= page) {
       for (let i = 0; i <= page; i++) {
         if (this.pages[i] == null) {
-          this.pages[i] = new this.arrayType(this.pageSize);
+          this.pages[i] = new this.arrayType(i == 0 ? this._firstPageSize : this.pageSize);
         }
       }
     }
@@ -96,6 +125,27 @@ class PagedArray {
       dest.pages.push(page.slice(0));
     }
     dest._length = this._length;
+    dest._firstPageSize = this._firstPageSize;
+    return dest;
+  }
+
+  // Returns the first `length` elements of this array as a single typed array.
+  toTypedArray(length) {
+    const result = new this.arrayType(length);
+    for (const [pIndex, page] of this.pages.entries()) {
+      const offset = this.getPageOffset(pIndex);
+      if (offset >= length) break;
+      result.set(page.subarray(0, Math.min(page.length, length - offset)), offset);
+    }
+    return result;
+  }
+
+  // Returns a copy of this array which stores its elements in typed arrays of `arrayType`.
+  convert(arrayType) {
+    const dest = new PagedArray(arrayType, this.pageSize);
+    dest.pages = this.pages.map((page) => arrayType.from(page));
+    dest._length = this._length;
+    dest._firstPageSize = this._firstPageSize;
     return dest;
   }
 
@@ -105,7 +155,7 @@ class PagedArray {
     for (let pIndex = 0; pIndex < this.pages.length; pIndex++) {
       console.log("Page", pIndex);
       const page = this.pages[pIndex];
-      for (let i = 0; i < this.pageSize; i++) {
+      for (let i = 0; i < page.length; i++) {
         console.log(page[i]);
         printed++;
         // The size of the page is likely greater than the number of elements that have been set.
@@ -117,398 +167,2491 @@ class PagedArray {
   }
 }
 
-const ARRAY_TYPES = {
-  dimenKeyToIndices: Uint32Array,
-  metrics: Float32Array,
-};
+// A set of non-negative integers, e.g. row indices, stored as one bit per integer. The bitmap
+// grows as integers are added.
+class Bitmap {
+  // - size: the number of integers which the bitmap initially has room for.
+  constructor(size) {
+    this.words = new Uint32Array(Math.ceil((size || 0) / 32));
+  }
 
-// Returns a DataCube from `rows` with the given dimens and metrics.
-// - rows: a list of objects which have each dimen in `dimens` and each metric in `metrics` as
-//   properties.
-export function fromRows(dimens, metrics, rows) {
-  const dc = new DataCube(dimens, metrics);
-  for (const row of rows) {
-    dc.addRow(row);
+  add(i) {
+    const w = i >>> 5;
+    if (w >= this.words.length) {
+      this.grow(Math.max(w + 1, this.words.length * 2));
+    }
+    this.words[w] |= 1 << (i & 31);
   }
-  return dc;
-}
 
-// Reads a datacube from a set of files.
-// - options:
-//   - gzip: whether the datacube was written as gzipped files.
-export function readFromFile(pathPrefix, options) {
-  // Make filePath into an absolute path, which is required by the fetch API.
-  const isRelative = !pathPrefix.startsWith("/");
-  if (isRelative) {
-    pathPrefix = Deno.cwd() + "/" + pathPrefix;
+  remove(i) {
+    const w = i >>> 5;
+    if (w < this.words.length) this.words[w] &= ~(1 << (i & 31));
   }
-  return readFromUrl("file://" + pathPrefix, options);
-}
 
-//
-// A datacube is serialized as 3 files and can be fetched from the network (using fetch) or a file.
-// - urlPrefix: the prefix of the path. E.g. if the datacube is in tmp/dc.json, the pathPrefix is
-//   tmp/dc
-// - options:
-//   - gzip: whether the datacube was written as gzipped files.
-//
-// NOTE(philc): This API could take a set of readable streams rather than just a path. We would need
-// to expose a variable which indicates the schema of how the files of a datacube are named.
-export async function readFromUrl(urlPrefix, options) {
-  const extension = options?.gzip ? ".gz" : "";
-  let response = await fetch(`${urlPrefix}.json${extension}`);
-  let stream = response.body;
-  if (options?.gzip) {
-    const decompressed = stream.pipeThrough(new DecompressionStream("gzip"));
-    response = new Response(decompressed);
-  }
-  const manifest = await response.json();
-  const dc = new DataCube(manifest.dimens, manifest.metrics);
-  dc.dimenIndexToValue = manifest.dimenIndexToValue;
-
-  // Returns an ArrayBuffer of bytes.
-  // TODO(philc): This could be done more efficiently by copying/adopting the byte ranges directly.
-  async function readBytes(path) {
-    const response = await fetch(path);
-    if (options?.gzip) {
-      const stream = (await response.blob()).stream();
-      const decompressed = stream.pipeThrough(new DecompressionStream("gzip"));
-      // We wouldn't need to create a new Response here if arrayBuffer() gets added to
-      // ReadableStream. See https://github.com/whatwg/streams/issues/1019
-      return await (await new Response(decompressed)).arrayBuffer();
-    } else {
-      return await response.arrayBuffer();
+  has(i) {
+    const w = i >>> 5;
+    return w < this.words.length && (this.words[w] & (1 << (i & 31))) != 0;
+  }
+
+  grow(wordCount) {
+    const words = new Uint32Array(wordCount);
+    words.set(this.words);
+    this.words = words;
+  }
+
+  // Intersects this bitmap with `other`, in place.
+  and(other) {
+    for (let w = 0; w < this.words.length; w++) {
+      this.words[w] &= w < other.words.length ? other.words[w] : 0;
     }
+    return this;
   }
 
-  let bytes = await readBytes(`${urlPrefix}.dimens.bin${extension}`);
-  dc.dimenKeyToIndices = new PagedArray(ARRAY_TYPES.dimenKeyToIndices, bytes);
+  // Unions this bitmap with `other`, in place.
+  or(other) {
+    if (other.words.length > this.words.length) this.grow(other.words.length);
+    for (let w = 0; w < other.words.length; w++) {
+      this.words[w] |= other.words[w];
+    }
+    return this;
+  }
 
-  bytes = await readBytes(`${urlPrefix}.metrics.bin${extension}`);
-  dc.metricsData = new PagedArray(ARRAY_TYPES.metrics, bytes);
+  // Returns a new bitmap containing the integers in [0, size) which are not in this bitmap.
+  not(size) {
+    const dest = new Bitmap(size);
+    for (let w = 0; w < dest.words.length; w++) {
+      dest.words[w] = ~(w < this.words.length ? this.words[w] : 0);
+    }
+    // Clear the bits beyond `size` in the last word.
+    if (size % 32 != 0) {
+      dest.words[dest.words.length - 1] &= (1 << (size % 32)) - 1;
+    }
+    return dest;
+  }
 
-  return dc;
+  // Returns a bitmap containing every integer in [0, size).
+  static full(size) {
+    return new Bitmap(0).not(size);
+  }
+
+  // Calls `fn` with each integer in the bitmap, in ascending order.
+  forEach(fn) {
+    for (let w = 0; w < this.words.length; w++) {
+      let bits = this.words[w];
+      while (bits != 0) {
+        const lowestBit = bits & -bits;
+        fn((w << 5) + 31 - Math.clz32(lowestBit));
+        bits ^= lowestBit;
+      }
+    }
+  }
+
+  clone() {
+    const dest = new Bitmap(0);
+    dest.words = this.words.slice(0);
+    return dest;
+  }
 }
 
-export class DataCube {
-  constructor(dimens, metrics) {
-    this.separator = ",";
+// Returns `operand`, after checking that it's an array, as `operator` requires.
+function toArrayOperand(operator, operand) {
+  if (!Array.isArray(operand)) {
+    throw new Error(
+      `The "${operator}" filter operator requires an array of values, but was given ` +
+        `${JSON.stringify(operand)}.`,
+    );
+  }
+  return operand;
+}
 
-    const pageSize = 100 * 1024;
+// The operators which can be used in a filter object, e.g. `{ country: { notIn: ["US", "JP"] } }`.
+// Each one takes the operand of the operator and a function which converts values before they're
+// compared (see makeDimenValueFilter), and returns a function which takes a dimension value and
+// returns true if the value is included.
+const FILTER_OPERATORS = {
+  eq: (operand, convert) => {
+    const o = convert(operand);
+    return (v) => convert(v) == o;
+  },
+  ne: (operand, convert) => {
+    const o = convert(operand);
+    return (v) => convert(v) != o;
+  },
+  in: (operand, convert) => {
+    const o = toArrayOperand("in", operand).map(convert);
+    return (v) => o.includes(convert(v));
+  },
+  notIn: (operand, convert) => {
+    const o = toArrayOperand("notIn", operand).map(convert);
+    return (v) => !o.includes(convert(v));
+  },
+  gt: (operand, convert) => {
+    const o = convert(operand);
+    return (v) => v != null && convert(v) > o;
+  },
+  gte: (operand, convert) => {
+    const o = convert(operand);
+    return (v) => v != null && convert(v) >= o;
+  },
+  lt: (operand, convert) => {
+    const o = convert(operand);
+    return (v) => v != null && convert(v) < o;
+  },
+  lte: (operand, convert) => {
+    const o = convert(operand);
+    return (v) => v != null && convert(v) <= o;
+  },
+  prefix: (operand) => (v) => v != null && String(v).startsWith(operand),
+  regex: (operand) => {
+    const regex = operand instanceof RegExp ? operand : new RegExp(operand);
+    return (v) => v != null && regex.test(String(v));
+  },
+  isNull: (operand) => (v) => (v == null) == operand,
+  not: (operand, convert) => {
+    const valueFilter = makeDimenValueFilter(operand, convert);
+    return (v) => !valueFilter(v);
+  },
+};
 
-    // Map of dimension value => dimension index.
-    this.dimenValueToIndex = new Map();
+// Returns a function which takes a dimension value and returns true if it's included by `filter`.
+// - filter: a primitive value, an array of values, a function, or an object of operators from
+//   FILTER_OPERATORS. When an object has multiple operators, a value must satisfy all of them.
+// - convert: optional; a function which converts both the dimension values and the filter's values
+//   before they're compared, e.g. to compare dates as timestamps. It's not applied for function
+//   filters, or the prefix and regex operators.
+function makeDimenValueFilter(filter, convert) {
+  convert = convert || ((v) => v);
+  if (Array.isArray(filter)) {
+    return FILTER_OPERATORS.in(filter, convert);
+  } else if (typeof filter == "function") {
+    return filter;
+  } else if (
+    filter != null && typeof filter == "object" && !(filter instanceof RegExp) &&
+    !(filter instanceof Date)
+  ) {
+    const valueFilters = Object.entries(filter).map(([operator, operand]) => {
+      const makeFilter = FILTER_OPERATORS[operator];
+      if (makeFilter == null) {
+        throw new Error(
+          `Unknown filter operator "${operator}". ` +
+            `Valid operators: [${Object.keys(FILTER_OPERATORS)}].`,
+        );
+      }
+      return makeFilter(operand, convert);
+    });
+    return (dimenValue) => valueFilters.every((f) => f(dimenValue));
+  } else {
+    return FILTER_OPERATORS.eq(filter, convert);
+  }
+}
 
-    // Array of dimension index => dimension value;
-    this.dimenIndexToValue = [];
+// The granularities which time dimensions can be rolled up to. See DataCube.rollupTime.
+const TIME_GRANULARITIES = ["day", "week", "month", "quarter", "year"];
 
-    this.dimenKeyToIndices = new PagedArray(
-      ARRAY_TYPES.dimenKeyToIndices,
-      pageSize,
-    );
+// Returns the timestamp (milliseconds since the epoch) of a value of a time dimension, which can be
+// a Date, a timestamp, or a string parseable by Date.parse, e.g. "2023-01-05". Returns null for
+// null values.
+function toTimestamp(value) {
+  if (value == null) return null;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value == "number") return value;
+  return Date.parse(value);
+}
 
-    this.dimens = dimens;
-    this.metrics = metrics;
+// Like toTimestamp, but throws an error which names `dimen`, a time dimension, if `value` isn't a
+// valid date or time.
+function toValidTimestamp(dimen, value) {
+  const timestamp = toTimestamp(value);
+  if (Number.isNaN(timestamp)) {
+    throw new Error(`"${value}" isn't a valid date or time for the time dimension ${dimen}.`);
+  }
+  return timestamp;
+}
 
-    // An array indexed by "dimen key" (an integer index into dimenKeyToIndices)
-    this.metricsData = new PagedArray(ARRAY_TYPES.metrics, pageSize);
+const dateTimeFormats = new Map();
 
-    // Once the dimens and metrics in this dataview are known, we can generate code for a more
-    // efficient implementation of getRows.
-    this.getRows = this.genGetRows();
+// Returns the calendar date of a value of the time dimension `dimen` as [year, month, day], where
+// month is 1-12. Strings of the form "YYYY-MM-DD" are already calendar dates, so `timeZone` doesn't
+// apply.
+// - timeZone: an IANA time zone name, e.g. "America/New_York".
+function toCalendarDate(dimen, value, timeZone) {
+  if (typeof value == "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value.split("-").map(Number);
+  }
+  let format = dateTimeFormats.get(timeZone);
+  if (format == null) {
+    format = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+    });
+    dateTimeFormats.set(timeZone, format);
+  }
+  const parts = format.formatToParts(new Date(toValidTimestamp(dimen, value)));
+  return ["year", "month", "day"].map((type) => Number(parts.find((p) => p.type == type).value));
+}
 
-    this._getDimenIndices = (row) => this.dimens.map((d) => this.getDimenIndex(row[d]));
-    this._stringKeyToIndex = new Map();
-    this._getKey = this.dimens.length == 0
-      ? () => null
-      : (dimenIndices) => dimenIndices.join(this.separator);
+// Returns the start of the period containing `value`, a value of the time dimension `dimen`, as a
+// date string of the form "YYYY-MM-DD".
+// - granularity: one of TIME_GRANULARITIES.
+// - options: optional; see DataCube.rollupTime.
+function truncateTime(dimen, value, granularity, options) {
+  if (value == null) return null;
+  let [year, month, day] = toCalendarDate(dimen, value, options?.timeZone || "UTC");
+  if (granularity == "week") {
+    const weekStart = options?.weekStart ?? 1;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    date.setUTCDate(date.getUTCDate() - (date.getUTCDay() - weekStart + 7) % 7);
+    [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+  } else if (granularity == "month") {
+    day = 1;
+  } else if (granularity == "quarter") {
+    month = month - (month - 1) % 3;
+    day = 1;
+  } else if (granularity == "year") {
+    month = 1;
+    day = 1;
   }
+  return formatDate(new Date(Date.UTC(year, month - 1, day)));
+}
 
-  clone() {
-    const dc = new DataCube(this.dimens, this.metrics);
-    dc.metricsData = this.metricsData.clone();
-    dc.dimenKeyToIndices = this.dimenKeyToIndices.clone();
-    dc.dimenIndexToValue = this.dimenIndexToValue.slice(0);
-    dc.dimenValueToIndex = new Map(this.dimenValueToIndex);
-    dc.getRows = this.getRows;
-    return dc;
+// Returns a Date's UTC calendar date as a string of the form "YYYY-MM-DD".
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Returns the start of the period which is `count` periods after the period starting at `date`.
+// - date: the start of a period, as a string of the form "YYYY-MM-DD".
+// - granularity: one of TIME_GRANULARITIES.
+// - count: the number of periods to add; can be negative.
+function addPeriods(date, granularity, count) {
+  const [year, month, day] = date.split("-").map(Number);
+  const result = new Date(Date.UTC(year, month - 1, day));
+  if (granularity == "day") {
+    result.setUTCDate(day + count);
+  } else if (granularity == "week") {
+    result.setUTCDate(day + count * 7);
+  } else if (granularity == "month") {
+    result.setUTCMonth(month - 1 + count);
+  } else if (granularity == "quarter") {
+    result.setUTCMonth(month - 1 + count * 3);
+  } else if (granularity == "year") {
+    result.setUTCFullYear(year + count);
   }
+  return formatDate(result);
+}
 
-  getWritableStream() {
-    let rowCount = 0;
-    return new WritableStream({
-      write: (chunk) => {
-        this.addRow(chunk);
-        rowCount++;
-        // Progress output
-        if (rowCount % 1_000_000 == 0) {
-          console.log(rowCount.toLocaleString("en-US"));
-        }
-      },
-      close: () => {
-      },
-      abort: (err) => {
-        console.log("Datacube writable stream error:", err);
-      },
-    });
+// Compares two dimension or metric values for sorting. Nulls are sorted before other values.
+function compareValues(a, b) {
+  if (a == b) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+// Returns a string which identifies `value`, for use as a cache key, or null if `value` can't be
+// identified by its contents because it contains a function. The properties of objects are sorted,
+// so objects with the same properties in a different order have the same key.
+function getCacheKey(value) {
+  if (typeof value == "function") return null;
+  if (value instanceof RegExp) return `regex:${value}`;
+  // getTime is used rather than toISOString, which throws for invalid Dates.
+  if (value instanceof Date) return `date:${value.getTime()}`;
+  if (typeof value == "bigint") return `bigint:${value}`;
+  if (value == null || typeof value != "object") return JSON.stringify(value) ?? "undefined";
+  const entries = Array.isArray(value)
+    ? value.map((v) => [null, v])
+    : Object.keys(value).sort().map((k) => [k, value[k]]);
+  const parts = [];
+  for (const [k, v] of entries) {
+    const key = getCacheKey(v);
+    if (key == null) return null;
+    parts.push(k == null ? key : `${JSON.stringify(k)}:${key}`);
   }
+  return Array.isArray(value) ? `[${parts.join(",")}]` : `{${parts.join(",")}}`;
+}
 
-  addRow(row) {
-    const indices = this._getDimenIndices(row);
-    const key = this._getKey(indices);
-    let rowIndex = this._stringKeyToIndex.get(key);
+// A cache of query results which evicts the least recently used results once the results exceed a
+// number of cells or bytes. See the queryCache option of DataCube.
+class QueryCache {
+  // - options: { maxCells, maxBytes }. Both are optional, and unlimited by default.
+  constructor(options) {
+    this.maxCells = options.maxCells ?? Infinity;
+    this.maxBytes = options.maxBytes ?? Infinity;
+    // Map of key => { value, cells, bytes }. Maps iterate in insertion order, so the least
+    // recently used entry is first.
+    this.entries = new Map();
+    this.cells = 0;
+    this.bytes = 0;
+  }
 
-    if (rowIndex == null) {
-      rowIndex = this.count();
-      const dimenKeyToIndicesOffset = this.dimenKeyToIndices.length;
-      for (let i = 0; i < indices.length; i++) {
-        this.dimenKeyToIndices.set(dimenKeyToIndicesOffset + i, indices[i]);
-      }
-      this._stringKeyToIndex.set(key, rowIndex);
-    }
+  // Returns the cached value for `key`, or undefined.
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry == null) return undefined;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
 
-    const metricsDataOffset = rowIndex * this.metrics.length;
-    for (let m = 0; m < this.metrics.length; m++) {
-      const metricName = this.metrics[m];
-      const metricValue = this.metricsData.get(metricsDataOffset + m) || 0;
-      this.metricsData.set(
-        metricsDataOffset + m,
-        metricValue + row[metricName],
-      );
+  // Caches `value`, and returns whether it was cached.
+  set(key, value, cells, bytes) {
+    this.delete(key);
+    // A value which is larger than the whole cache isn't cached.
+    if (cells > this.maxCells || bytes > this.maxBytes) return false;
+    this.entries.set(key, { value, cells, bytes });
+    this.cells += cells;
+    this.bytes += bytes;
+    for (const oldestKey of this.entries.keys()) {
+      if (this.cells <= this.maxCells && this.bytes <= this.maxBytes) break;
+      this.delete(oldestKey);
     }
+    return true;
   }
 
-  assertValidDimensions(dimens) {
-    const incorrectDimens = dimens.filter((d) => !this.dimens.includes(d));
-    if (incorrectDimens.length > 0) {
-      throw new Error(
-        `These dimens are not part of the datacube: [${incorrectDimens}]. ` +
-          `The datacube has: [${this.dimens}].`,
-      );
-    }
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry == null) return;
+    this.entries.delete(key);
+    this.cells -= entry.cells;
+    this.bytes -= entry.bytes;
   }
 
-  // Returns a new copy of this DataCube containing only the dimensions in `dimens`.
-  // - dimens: a list of dimensions which are present in this DataCube.
-  select(dimens) {
-    this.assertValidDimensions(dimens);
-    const destDc = new DataCube(dimens, this.metrics);
-    // TODO(philc): Build up a new dictionary for the affected dimension.
-    destDc.dimenValueToIndex = new Map(this.dimenValueToIndex);
-    destDc.dimenIndexToValue = this.dimenIndexToValue.slice(0);
+  clear() {
+    this.entries.clear();
+    this.cells = 0;
+    this.bytes = 0;
+  }
+}
 
-    // I could get rid of the dimenKey here, if I stored just row data, and a separate map of key =>
-    // rowIndex.
-    const getKey = dimens.length == 0
-      ? () => null
-      : (dimenIndices) => dimenIndices.join(this.separator);
+// A hash table which maps the dimension indices of each cell of a DataCube to the cell's row index.
+// Only row indices and hashes are stored: the dimension indices of a cell are read from the
+// DataCube's dimenColumns when keys are compared, so no key objects or strings are created per
+// cell. It uses open addressing with linear probing.
+class CellKeyIndex {
+  constructor(dc) {
+    this.dc = dc;
+    // The number of cells in the index. These are the cells with row indices [0, size).
+    this.size = 0;
+    // For each slot, the row index of its cell plus one, or 0 if the slot is empty.
+    this.slots = new Uint32Array(16);
+    // For each slot, the hash of its cell's dimension indices.
+    this.hashes = new Uint32Array(16);
+    this.rowDimenIndices = new Array(dc.dimens.length);
+  }
 
-    const destDimenIndexToSrcIndex = dimens.map((d) => {
-      return this.dimens.indexOf(d);
-    });
+  // Returns a 32 bit hash of an array of dimension indices.
+  static hash(dimenIndices) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < dimenIndices.length; i++) {
+      h = Math.imul(h ^ dimenIndices[i], 0x5bd1e995);
+      h ^= h >>> 15;
+    }
+    // The finalization step of MurmurHash3, which mixes the bits of the hash.
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+  }
 
-    const stringKeyToIndex = new Map();
+  // Returns the row index of the cell with `dimenIndices`, or null if there's no such cell.
+  find(dimenIndices) {
+    const hash = CellKeyIndex.hash(dimenIndices);
+    const mask = this.slots.length - 1;
+    for (let slot = hash & mask;; slot = (slot + 1) & mask) {
+      const rowIndex = this.slots[slot] - 1;
+      if (rowIndex == -1) return null;
+      if (this.hashes[slot] == hash && this._rowHasDimenIndices(rowIndex, dimenIndices)) {
+        return rowIndex;
+      }
+    }
+  }
 
-    const destIndices = new Array(dimens.length);
+  _rowHasDimenIndices(rowIndex, dimenIndices) {
+    const dimenColumns = this.dc.dimenColumns;
+    for (let i = 0; i < dimenIndices.length; i++) {
+      if (dimenColumns[i].get(rowIndex) != dimenIndices[i]) return false;
+    }
+    return true;
+  }
 
-    for (let rowIndex = 0; rowIndex < this.count(); rowIndex++) {
-      const metricsDataOffset = rowIndex * this.metrics.length;
-      const dimenDataOffset = rowIndex * this.dimens.length;
-      for (let i = 0; i < dimens.length; i++) {
-        const srcDimenIndex = this.dimenKeyToIndices.get(
-          dimenDataOffset + destDimenIndexToSrcIndex[i],
-        );
-        destIndices[i] = srcDimenIndex;
-      }
-      const newKey = getKey(destIndices);
-      let index = stringKeyToIndex.get(newKey);
-
-      if (index == null) {
-        index = destDc.count();
-        const dimenKeyToIndicesOffset = destDc.dimenKeyToIndices.length;
-        for (let i = 0; i < dimens.length; i++) {
-          destDc.dimenKeyToIndices.set(
-            dimenKeyToIndicesOffset + i,
-            destIndices[i],
-          );
-        }
-        stringKeyToIndex.set(newKey, index);
+  // Adds the cells which have been appended to the DataCube since the index was last updated.
+  update() {
+    const count = this.dc.count();
+    const dimenColumns = this.dc.dimenColumns;
+    for (let rowIndex = this.size; rowIndex < count; rowIndex++) {
+      // The table is kept at most 3/4 full.
+      if ((this.size + 1) * 4 > this.slots.length * 3) this._grow();
+      for (let i = 0; i < dimenColumns.length; i++) {
+        this.rowDimenIndices[i] = dimenColumns[i].get(rowIndex);
       }
+      this._insert(rowIndex, CellKeyIndex.hash(this.rowDimenIndices));
+      this.size++;
+    }
+  }
 
-      for (let m = 0; m < destDc.metrics.length; m++) {
-        const destMetricsDataOffset = index * destDc.metrics.length;
-        const srcMetricValue = this.metricsData.get(metricsDataOffset + m);
-        const destMetricValue = destDc.metricsData.get(destMetricsDataOffset + m) || 0;
-        destDc.metricsData.set(
-          destMetricsDataOffset + m,
-          destMetricValue + srcMetricValue,
-        );
-      }
+  _insert(rowIndex, hash) {
+    const mask = this.slots.length - 1;
+    let slot = hash & mask;
+    while (this.slots[slot] != 0) slot = (slot + 1) & mask;
+    this.slots[slot] = rowIndex + 1;
+    this.hashes[slot] = hash;
+  }
+
+  _grow() {
+    const slots = this.slots;
+    const hashes = this.hashes;
+    this.slots = new Uint32Array(slots.length * 2);
+    this.hashes = new Uint32Array(slots.length * 2);
+    for (let slot = 0; slot < slots.length; slot++) {
+      if (slots[slot] != 0) this._insert(slots[slot] - 1, hashes[slot]);
     }
-    destDc.getRows = destDc.genGetRows();
-    return destDc;
   }
+}
 
-  // Returns the index into dimenValueToIndex for `dimenValue`, inserting `dimenValue` if it's not
-  // already present.
-  getDimenIndex(dimenValue) {
-    const i = this.dimenValueToIndex.get(dimenValue);
-    if (i != null) return i;
-    this.dimenIndexToValue.push(dimenValue);
-    const insertedIndex = this.dimenIndexToValue.length - 1;
-    this.dimenValueToIndex.set(dimenValue, insertedIndex);
-    return insertedIndex;
+// The distinct values of one dimension of a DataCube. Cells store the index of each of their
+// dimension values in the dimension's dictionary, rather than the values themselves. Dictionaries
+// only contain values which are used by cells: DataCubes derived by `select` and `where` build new
+// dictionaries from the cells they keep, rather than copying their source's dictionaries.
+class Dictionary {
+  // - values: optional; an array of distinct values.
+  constructor(values) {
+    // Array of index => value.
+    this.values = values || [];
+    // Map of value => index.
+    this.valueToIndex = new Map(this.values.map((value, i) => [value, i]));
   }
 
-  // Returns an array which has the set of all values for the given dimension.
-  getDimensionValues(dimen) {
-    this.assertValidDimensions([dimen]);
-    const dimenOffset = this.dimens.indexOf(dimen);
-    const uniqueDimenIndices = new Set();
-    for (let i = 0; i < this.count(); i++) {
-      const dimenIndexOfRow = this.dimenKeyToIndices.get(
-        i * this.dimens.length + dimenOffset,
-      );
-      uniqueDimenIndices.add(dimenIndexOfRow);
+  get length() {
+    return this.values.length;
+  }
+
+  // Returns the index of `value`, or undefined if it's not in the dictionary.
+  indexOf(value) {
+    return this.valueToIndex.get(value);
+  }
+
+  // Returns the index of `value`, adding it to the dictionary if it's not present.
+  add(value) {
+    let i = this.valueToIndex.get(value);
+    if (i == null) {
+      i = this.values.push(value) - 1;
+      this.valueToIndex.set(value, i);
     }
-    const dimenValues = Array.from(uniqueDimenIndices).map((i) => this.dimenIndexToValue[i]);
-    return dimenValues;
+    return i;
   }
 
-  // Returns an array of objects representing the rows in this DataCube. Each returned object has a
-  // property for every dimension and every metric in this DataCube.
-  getRows() {
-    // The code for this function is generated at runtime by genGetRows, based on the number and
-    // names of the dimens and metrics in this DataCube. This provides a substantial speedup.
+  clone() {
+    return new Dictionary(this.values.slice(0));
   }
+}
 
-  // Generates the code for the `getRows` function.
-  genGetRows() {
-    // Generate an assignment statement of the form:
-    // let row = { "dimen-name1": this.dimenIndexToValue[dimenIndicies[0], "dimen-name2": ... }
-    // NOTE(philc): This is 2x faster than building up an object by iterating over this.dimens and
-    // this.metrics. I think the main improvement comes from creating the object once, rather than
-    // incrementally, so that its shape is fixed.
-    const assignDimens = this.dimens.map(
-      (d, i) => `"${d}": this.dimenIndexToValue[dimenIndices[${i}]]`,
-    );
-    const assignMetrics = this.metrics.map(
-      (m, i) => `"${m}": this.metricsData.get(metricsDataOffset + ${i})`,
-    );
-    const assignStatement = "let row = { " +
-      assignDimens.concat(assignMetrics).join(",\n") + " }";
+// The types used to store the dimension indices of cells, by name. See getDimenArrayType.
+const DIMEN_TYPES = { uint8: Uint8Array, uint16: Uint16Array, uint32: Uint32Array };
 
-    const template = function () {
-      const count = this.count();
-      const metricsCount = this.metrics.length;
+// Returns the narrowest typed array type which can store the indices of a dictionary with
+// `dictionaryLength` values.
+function getDimenArrayType(dictionaryLength) {
+  if (dictionaryLength <= 2 ** 8) return Uint8Array;
+  return dictionaryLength <= 2 ** 16 ? Uint16Array : Uint32Array;
+}
 
-      const rows = [];
-      for (let rowIndex = 0; rowIndex < count; rowIndex++) {
-        const metricsDataOffset = rowIndex * metricsCount;
-        const dimenKeyToIndicesOffset = rowIndex * this.dimens.length;
-        const dimenIndices = this.dimens.length == 0 ? [] : this.dimenKeyToIndices.slice(
-          dimenKeyToIndicesOffset,
-          dimenKeyToIndicesOffset + this.dimens.length,
-        );
-        ASSIGN_STATEMENT;
-        rows.push(row);
-      }
-      return rows;
-    };
+const ARRAY_TYPES = {
+  // Datacubes written before per-dimension dictionaries were introduced store the dimension
+  // indices of every cell in a single Uint32Array, ordered by row and then by dimension.
+  dimenKeyToIndices: Uint32Array,
+  metrics: Float32Array,
+};
 
-    const code = template
-      .toString()
-      .replace("ASSIGN_STATEMENT", assignStatement);
-    return new Function(`return ${code}`)();
+// The types which can be used to store metrics. See the `metricTypes` option of DataCube.
+const METRIC_TYPES = {
+  float32: Float32Array,
+  float64: Float64Array,
+  int32: Int32Array,
+  uint32: Uint32Array,
+  bigint64: BigInt64Array,
+};
+
+// The functions used to combine the values of a metric when multiple rows map to the same cell.
+// - fromValue: converts the value of a metric in a row passed to addRow into an aggregate value.
+// - merge: combines two aggregate values. This is used by addRow, select and totals.
+// - initial: the value of the aggregate when there are no cells to aggregate, e.g. in totals().
+// - subtract: optional; removes an aggregate value from another. This is used by subtractRow, and
+//   only exists for aggregators which can be reversed.
+// - replace: optional; returns the aggregate `a` after one of the values which were merged into it
+//   changes from `oldValue` to `newValue`, or undefined if that depends on the other values. This
+//   is used by setCell, along with `subtract`.
+// min, max and last skip NaN values when merging, since explodeDimenIntoColumns uses NaN for cells
+// which have no value.
+const AGGREGATORS = {
+  sum: { fromValue: (v) => v, merge: (a, b) => a + b, initial: 0, subtract: (a, b) => a - b },
+  min: {
+    fromValue: (v) => v,
+    merge: (a, b) => a <= b || Number.isNaN(b) ? a : b,
+    initial: null,
+    replace: (a, oldValue, newValue) =>
+      newValue <= oldValue ? (a <= newValue ? a : newValue) : (oldValue > a ? a : undefined),
+  },
+  max: {
+    fromValue: (v) => v,
+    merge: (a, b) => a >= b || Number.isNaN(b) ? a : b,
+    initial: null,
+    replace: (a, oldValue, newValue) =>
+      newValue >= oldValue ? (a >= newValue ? a : newValue) : (oldValue < a ? a : undefined),
+  },
+  count: { fromValue: () => 1, merge: (a, b) => a + b, initial: 0, subtract: (a, b) => a - b },
+  last: { fromValue: (v) => v, merge: (a, b) => Number.isNaN(b) ? a : b, initial: null },
+};
+
+// Returns a DataCube from `rows` with the given dimens and metrics.
+// - rows: a list of objects which have each dimen in `dimens` and each metric in `metrics` as
+//   properties.
+// - options: optional; see the DataCube constructor.
+export function fromRows(dimens, metrics, rows, options) {
+  const dc = new DataCube(dimens, metrics, options);
+  for (const row of rows) {
+    dc.addRow(row);
   }
+  return dc;
+}
 
-  // Returns true if `dimenKey` is included by `dimenFilters`.
-  // - dimenKey: an array of integers representing a tuple of dimension values. The integers are
-  //   indices into dimenIndexToValue.
-  // - dimenFilters: a map of dimenName => filter. Filter can be either a primitive value, or a
-  //   function.
-  includeRow(dimenKey, dimenFilters) {
-    const dimenIndices = this.dimenKeyToIndices.slice(
-      dimenKey * this.dimens.length,
-      (dimenKey + 1) * this.dimens.length,
+// Returns a DataCube from data which is stored by column rather than by row, e.g. data produced by
+// another columnar system. This is faster than fromRows, since no row objects are created, and
+// dictionary-encoded columns are mapped to this DataCube's dictionary once per distinct value.
+// - columns: a map of column name => column, with a column for each dimen and metric, and
+//   optionally for the `column` of each distinct count and quantile. Each column is an array or a
+//   typed array with a value per row, or for dimensions, a dictionary-encoded column: an object
+//   with `dictionary`, an array of distinct values, and `indices`, an array or typed array of
+//   indices into the dictionary, one per row. All columns must have the same number of rows.
+// - options: optional; see the DataCube constructor.
+export function fromColumns(dimens, metrics, columns, options) {
+  const dc = new DataCube(dimens, metrics, options);
+  dc._addColumns(columns);
+  return dc;
+}
+
+// Returns a DataCube from data in the Apache Arrow IPC format (either the streaming or the file
+// format), e.g. a file written by another Arrow library, or the result of `toArrow`. The data must
+// have a column for each dimen and metric. Its other columns are ignored, apart from those which
+// feed distinct counts and quantiles. Dictionary-encoded columns are read without decoding each
+// row. Date columns become date strings of the form "YYYY-MM-DD", and nulls become null dimension
+// values.
+// - bytes: a Uint8Array or an ArrayBuffer.
+// - options: optional; see the DataCube constructor.
+export function fromArrow(dimens, metrics, bytes, options) {
+  return fromColumns(dimens, metrics, decodeArrowIpc(bytes).columns, options);
+}
+
+// Returns a new DataCube which combines the cells of every DataCube in `cubes`. Cells with the same
+// dimension values are combined using each metric's aggregator, and their sketches are merged. The
+// cubes must have the same dimens, metrics, aggregators, metric types and sketch metrics, although
+// the order of their dimens and metrics can differ. The result has the options and the dimension
+// and metric order of the first cube.
+export function merge(cubes) {
+  if (cubes.length == 0) throw new Error("At least one datacube is required to merge.");
+  const first = cubes[0];
+  const dest = new DataCube(first.dimens, first.metrics, first.options);
+  for (const dc of cubes) {
+    assertMergeable(dest, dc);
+    dest._mergeCells(dc);
+  }
+  return dest;
+}
+
+// Throws an error if the cells of DataCube `src` can't be merged into DataCube `dest`.
+function assertMergeable(dest, src) {
+  const sameSet = (a, b) => a.length == b.length && a.every((x) => b.includes(x));
+  if (!sameSet(dest.dimens, src.dimens) || !sameSet(dest.metrics, src.metrics)) {
+    throw new Error(
+      `Can't merge datacubes with different dimensions or metrics. One has dimens ` +
+        `[${dest.dimens}] and metrics [${dest.metrics}], the other has dimens [${src.dimens}] ` +
+        `and metrics [${src.metrics}].`,
     );
-    for (let i = 0; i < this.dimens.length; i++) {
-      const dimen = this.dimens[i];
-      const filter = dimenFilters[dimen];
-      if (filter == null) continue;
-      const dimenValue = this.dimenIndexToValue[dimenIndices[i]];
-      if (Array.isArray(filter)) {
-        if (!filter.includes(dimenValue)) return false;
-      } else if (typeof filter == "function") {
-        if (!filter(dimenValue)) return false;
-      } else if (dimenValue != filter) {
-        return false;
-      }
+  }
+  for (const [m, metric] of dest.metrics.entries()) {
+    const srcM = src.metrics.indexOf(metric);
+    if (dest.aggregators[m] != src.aggregators[srcM]) {
+      throw new Error(`Can't merge datacubes whose aggregators for metric ${metric} differ.`);
     }
-    return true;
+    if (dest.metricTypes[m] != src.metricTypes[srcM]) {
+      throw new Error(
+        `Can't merge datacubes whose types for metric ${metric} differ: ` +
+          `${dest.metricTypes[m]} and ${src.metricTypes[srcM]}.`,
+      );
+    }
+  }
+  const sketchNames = (dc) => dc.sketchOutputs.map((o) => o.name);
+  if (sketchNames(dest).join() != sketchNames(src).join()) {
+    throw new Error(
+      `Can't merge datacubes with different distinct count or quantile metrics: ` +
+        `[${sketchNames(dest)}] and [${sketchNames(src)}].`,
+    );
   }
+}
 
-  // Returns a new dataview which excludes rows which do not match `dimenFilters`.
-  // - dimenFilters: a map of dimenName => filter. Filter can be either a primitive value, or a
-  //   function.
-  // TODO(philc): This should remove dimens from the dimen dictionary which were filtered out.
-  where(dimenFilters) {
-    if (Object.keys(dimenFilters).length == 0) return this;
+// Reads a datacube from a set of files, or from a single file.
+// - options:
+//   - gzip: whether the datacube was written as gzipped files. Single files record whether they're
+//     compressed, so this isn't needed to read them.
+//   - singleFile: whether the datacube was written as a single file. See writeToFile.
+//   - metrics: the metrics to load from a single file, including distinct count and quantile
+//     metrics. The other metrics are not read, and the datacube won't have them. Defaults to all of
+//     the metrics. See openFile.
+//   - derivedMetrics: derived metrics to add to the datacube. These are functions, so they're not
+//     part of the serialized datacube.
+//   - indexedDimens: the dimens to build inverted indexes for once the datacube is loaded. Defaults
+//     to the `indexedDimens` option of the datacube which was written.
+export function readFromFile(pathPrefix, options) {
+  return readFromStorage(denoFileStorage(), pathPrefix, options);
+}
 
-    const dest = this.clone();
-    const destMetricsData = new PagedArray(dest.metricsData.arrayType);
-    const destDimenKeyToIndices = new PagedArray(dest.dimenKeyToIndices.arrayType);
-    for (let rowIndex = 0; rowIndex < this.count(); rowIndex++) {
-      if (this.includeRow(rowIndex, dimenFilters)) {
-        this.dimenKeyToIndices.copy(
-          rowIndex * this.dimens.length,
-          destDimenKeyToIndices,
-          destDimenKeyToIndices.length,
-          this.dimens.length,
-        );
+//
+// A datacube is serialized as a set of files, or a single file, and can be fetched from the network
+// (using fetch) or a file.
+// - urlPrefix: the prefix of the path. E.g. if the datacube is in tmp/dc.json, the pathPrefix is
+//   tmp/dc
+// - options:
+//   - gzip, singleFile, metrics, derivedMetrics, indexedDimens: see readFromFile.
+//   - fetchOptions: options for fetch, e.g. headers to authenticate with.
+export function readFromUrl(urlPrefix, options) {
+  return readFromStorage(urlStorage(options?.fetchOptions), urlPrefix, options);
+}
 
-        const srcMetricsDataOffset = rowIndex * this.metrics.length;
-        const destMetricsDataOffset = destMetricsData.length;
-        for (let m = 0; m < this.metrics.length; m++) {
-          const metricValue = this.metricsData.get(srcMetricsDataOffset + m);
-          destMetricsData.set(destMetricsDataOffset + m, metricValue);
-        }
-      }
-    }
-    dest.metricsData = destMetricsData;
-    dest.dimenKeyToIndices = destDimenKeyToIndices;
-    return dest;
+// Reads a datacube which was written by writeToStorage from a storage adapter (see storage.js).
+// Single files are read partially, so that only the requested `metrics` are read.
+// - name: the name which the datacube was written with.
+// - options: optional; see readFromFile.
+export async function readFromStorage(storage, name, options) {
+  if (options?.singleFile) {
+    return await (await openFromStorage(storage, name)).read(options);
   }
+  return await deserialize((part) => storage.openReadable(`${name}.${part}`), options);
+}
 
-  count() {
-    return this.metricsData.length / this.metrics.length;
+// Reads a datacube, and its materializations, from streams which were written by `serialize`.
+// - readableStreams: a function which takes the name of a part of the datacube, e.g. "json" or
+//   "metrics.bin", and returns a ReadableStream of its bytes, or a promise of one.
+// - options: optional; see readFromFile.
+export async function deserialize(readableStreams, options) {
+  // Returns an ArrayBuffer of the bytes of the part named `name`.
+  // TODO(philc): This could be done more efficiently by copying/adopting the byte ranges directly.
+  const readPart = async (name, gzip) => {
+    let stream = await readableStreams(gzip ? `${name}.gz` : name);
+    if (gzip) stream = stream.pipeThrough(new DecompressionStream("gzip"));
+    // We wouldn't need to create a new Response here if arrayBuffer() gets added to
+    // ReadableStream. See https://github.com/whatwg/streams/issues/1019
+    return await new Response(stream).arrayBuffer();
+  };
+
+  if (options?.singleFile) {
+    // Streams can't be read partially, so the whole file is read.
+    const bytes = new Uint8Array(await readPart("datacube", false));
+    const reader = await ContainerReader.open(bytesRangeReader(bytes), "The datacube");
+    return await new DataCubeFile(reader).read(options);
   }
 
-  getMetricsDataOffset(rowIndex) {
-    return rowIndex * this.metrics.length;
+  const gzip = options?.gzip;
+  const manifest = JSON.parse(new TextDecoder().decode(await readPart("json", gzip)));
+  const dc = createFromManifest(manifest, options);
+
+  let bytes = await readPart("dimens.bin", gzip);
+  if (manifest.dictionaries) {
+    // The dimens file contains one column per dimension, one after the other.
+    dc.dictionaries = manifest.dictionaries.map((values) => new Dictionary(values));
+    let byteOffset = 0;
+    dc.dimenColumns = manifest.dimenTypes.map((type) => {
+      const arrayType = DIMEN_TYPES[type];
+      const columnBytes = manifest.count * arrayType.BYTES_PER_ELEMENT;
+      const buffer = bytes.slice(byteOffset, byteOffset + columnBytes);
+      byteOffset += columnBytes;
+      return new PagedArray(arrayType, buffer);
+    });
+  } else {
+    // Datacubes written before per-dimension dictionaries were introduced have one dictionary which
+    // is shared by every dimension, and store the dimension indices ordered by row and then by
+    // dimension. Each cell's values are added to the new dictionaries.
+    const dimenKeyToIndices = new PagedArray(ARRAY_TYPES.dimenKeyToIndices, bytes);
+    const dimensCount = dc.dimens.length;
+    for (let rowIndex = 0; rowIndex < manifest.count; rowIndex++) {
+      for (let d = 0; d < dimensCount; d++) {
+        const value = manifest.dimenIndexToValue[dimenKeyToIndices.get(rowIndex * dimensCount + d)];
+        // getDimenIndex can replace the column with a wider one, so it's called first.
+        const dimenIndex = dc.getDimenIndex(d, value);
+        dc.dimenColumns[d].set(rowIndex, dimenIndex);
+      }
+    }
   }
 
-  // Returns the metric map containing the sums of all metrics over all cells.
-  totals() {
-    const totals = this.metrics.map(() => 0);
-    for (let rowIndex = 0; rowIndex < this.count(); rowIndex++) {
-      const metricsDataOffset = this.getMetricsDataOffset(rowIndex);
-      for (let m = 0; m < this.metrics.length; m++) {
-        totals[m] += this.metricsData.get(metricsDataOffset + m);
+  bytes = await readPart("metrics.bin", gzip);
+  if (manifest.metricTypes) {
+    // The metrics file contains one column per metric, one after the other.
+    let byteOffset = 0;
+    dc.metricsData = dc.metricsData.map((column) => {
+      const columnBytes = manifest.count * column.BYTES_PER_ELEMENT;
+      const buffer = bytes.slice(byteOffset, byteOffset + columnBytes);
+      byteOffset += columnBytes;
+      return new PagedArray(column.arrayType, buffer);
+    });
+  } else {
+    // Datacubes written before metric types were introduced store their metrics as a single
+    // Float32Array, ordered by row and then by metric.
+    const metricsData = new PagedArray(ARRAY_TYPES.metrics, bytes);
+    const metricsCount = dc.metrics.length;
+    for (let rowIndex = 0; rowIndex < manifest.count; rowIndex++) {
+      for (let m = 0; m < metricsCount; m++) {
+        dc.metricsData[m].set(rowIndex, metricsData.get(rowIndex * metricsCount + m));
       }
     }
+  }
 
-    const resultMap = {};
-    for (let i = 0; i < totals.length; i++) {
-      resultMap[this.metrics[i]] = totals[i];
+  if (manifest.sketchByteLengths) {
+    // The sketches file contains the sketches of each sketch metric, one after the other.
+    bytes = new Uint8Array(await readPart("sketches.bin", gzip));
+    let byteOffset = 0;
+    for (const [i, sketchMetric] of dc.sketchMetrics.entries()) {
+      const byteLength = manifest.sketchByteLengths[i];
+      sketchMetric.data = sketchMetric.data.fromBytes(
+        bytes.subarray(byteOffset, byteOffset + byteLength),
+      );
+      byteOffset += byteLength;
     }
-    return resultMap;
   }
 
-  // Creates a new DataCube where `dimen` is removed from the DataCube's dimensions, and instead,
-  // its values are added as separate columns.
-  // E.g. Let dc be a DataCube with dimensions [country, customer] and metrics [spend].
-  // dc.explodeDimenIntoColumns(country, null) produces a DataCube with dimens [customer] and
+  dc.rebuildIndexes();
+  for (const i of (manifest.materializations || []).keys()) {
+    const materializedStreams = (part) => readableStreams(`materialized${i}.${part}`);
+    dc._addMaterialization(await deserialize(materializedStreams, options));
+  }
+  return dc;
+}
+
+// Returns an empty DataCube with the dimens, metrics and options in `manifest`, which was written
+// by writeToFile.
+// - options: optional.
+//   - metrics: the metrics, including sketch metrics, which the DataCube should have. Defaults to
+//     all of the metrics in the manifest.
+//   - derivedMetrics, indexedDimens: see readFromFile.
+function createFromManifest(manifest, options) {
+  const metrics = options?.metrics;
+  if (metrics) {
+    const available = manifest.metrics.concat(
+      Object.keys(manifest.distinctCounts || {}),
+      Object.keys(manifest.quantiles || {}),
+    );
+    const unknownMetrics = metrics.filter((m) => !available.includes(m));
+    if (unknownMetrics.length > 0) {
+      throw new Error(
+        `These metrics are not part of the datacube: [${unknownMetrics}]. ` +
+          `The datacube has: [${available}].`,
+      );
+    }
+  }
+  const includes = (m) => metrics == null || metrics.includes(m);
+  // Returns the entries of a map of metricName => value which are for included metrics.
+  const pick = (map) => map && Object.fromEntries(Object.entries(map).filter(([m]) => includes(m)));
+  return new DataCube(manifest.dimens, manifest.metrics.filter(includes), {
+    aggregators: pick(manifest.aggregators),
+    metricTypes: pick(manifest.metricTypes),
+    distinctCounts: pick(manifest.distinctCounts),
+    quantiles: pick(manifest.quantiles),
+    timeDimens: manifest.timeDimens,
+    attributeTables: manifest.attributeTables,
+    hierarchies: manifest.hierarchies,
+    derivedMetrics: options?.derivedMetrics,
+    indexedDimens: options?.indexedDimens || manifest.indexedDimens,
+  });
+}
+
+// Opens a datacube which was written as a single file by writeToFile, and returns a DataCubeFile.
+// Only the file's header and manifest are read, so that its dimens and metrics can be inspected
+// before choosing which metrics to load. See DataCubeFile.read.
+export function openFile(pathPrefix) {
+  return openFromStorage(denoFileStorage(), pathPrefix);
+}
+
+// Like openFile, but reads the file from a URL using HTTP range requests.
+// - fetchOptions: optional; options for fetch, e.g. headers to authenticate with.
+export function openUrl(urlPrefix, fetchOptions) {
+  return openFromStorage(urlStorage(fetchOptions), urlPrefix);
+}
+
+// Like openFile, but reads the file from a storage adapter (see storage.js), using its
+// rangeReader.
+export async function openFromStorage(storage, name) {
+  const fileName = `${name}.datacube`;
+  return new DataCubeFile(await ContainerReader.open(storage.rangeReader(fileName), fileName));
+}
+
+// A datacube which is stored in a single file. Each column of the datacube is a chunk of the file,
+// which is fetched the first time a `read` needs it, and reused by later reads. A DataCube returned
+// by `read` has only the metrics it was read with, so to load metrics as queries need them, call
+// `read` with each query's metrics; only the chunks of metrics which weren't read before are
+// fetched, e.g.:
+//   const file = await openUrl(url);
+//   const visits = await file.read({ metrics: ["visits"] });
+//   // Fetches only the chunk of "revenue".
+//   const revenue = await file.read({ metrics: ["visits", "revenue"] });
+class DataCubeFile {
+  constructor(reader) {
+    this._reader = reader;
+    // A map of chunk index => promise of the chunk's bytes, for the chunks which have been fetched.
+    this._chunks = new Map();
+    this.manifest = reader.manifest;
+    this.dimens = this.manifest.dimens;
+    // The metrics, including sketch metrics, which can be loaded.
+    this.metrics = this.manifest.metrics.concat(
+      Object.keys(this.manifest.distinctCounts || {}),
+      Object.keys(this.manifest.quantiles || {}),
+    );
+  }
+
+  // Reads the datacube and its materializations with the given metrics, and returns a promise of a
+  // new DataCube. Chunks which earlier reads fetched aren't fetched again.
+  // - options: optional.
+  //   - metrics, derivedMetrics, indexedDimens: see readFromFile.
+  read(options) {
+    return this._readCube(this.manifest, options);
+  }
+
+  // Returns a promise of the bytes of the chunk at `index`, fetching them if they haven't been.
+  _readChunk(index) {
+    if (!this._chunks.has(index)) {
+      const bytes = this._reader.readChunk(index).catch((error) => {
+        // Don't keep the failure, so that a later read can retry.
+        this._chunks.delete(index);
+        throw error;
+      });
+      this._chunks.set(index, bytes);
+    }
+    return this._chunks.get(index);
+  }
+
+  async _readCube(manifest, options) {
+    const dc = createFromManifest(manifest, options);
+    const chunks = manifest.chunks;
+    // Returns a promise of a PagedArray of `arrayType` containing the elements of a chunk. The
+    // bytes are copied, since chunks don't start at offsets which are aligned for every array type,
+    // and so that changes to the DataCube don't change the fetched chunk.
+    const readColumn = async (chunkIndex, arrayType) =>
+      new PagedArray(arrayType, (await this._readChunk(chunkIndex)).slice(0).buffer);
+    const [dimenColumns, metricsData, sketchBytes] = await Promise.all([
+      Promise.all(chunks.dimens.map((i, d) => readColumn(i, DIMEN_TYPES[manifest.dimenTypes[d]]))),
+      Promise.all(
+        dc.metrics.map((m, i) => readColumn(chunks.metrics[m], dc.metricsData[i].arrayType)),
+      ),
+      Promise.all(dc.sketchMetrics.map((s) => this._readChunk(chunks.sketches[s.name]))),
+    ]);
+    dc.dictionaries = manifest.dictionaries.map((values) => new Dictionary(values));
+    dc.dimenColumns = dimenColumns;
+    dc.metricsData = metricsData;
+    for (const [i, sketchMetric] of dc.sketchMetrics.entries()) {
+      sketchMetric.data = sketchMetric.data.fromBytes(sketchBytes[i]);
+    }
+    dc.rebuildIndexes();
+    for (const materialization of manifest.materializations) {
+      dc._addMaterialization(await this._readCube(materialization, options));
+    }
+    return dc;
+  }
+}
+
+export class DataCube {
+  // - options: optional.
+  //   - aggregators: a map of metricName => aggregator name, which determines how the metric's
+  //     values are combined when rows are added to the same cell, and when cells are collapsed by
+  //     `select` or `totals`. One of "sum", "min", "max", "count", "last". Metrics which are not
+  //     in the map are summed.
+  //   - derivedMetrics: a map of metricName => function, for metrics which are computed from the
+  //     aggregated metrics of a cell, e.g. `{ conversionRate: (m) => m.purchases / m.views }`.
+  //     The function is passed the row object (or the totals), and its result is included in the
+  //     output of getRows and totals. Derived metrics are computed after aggregation, so ratios are
+  //     correct for every selection of dimensions. They can refer to earlier derived metrics.
+  //   - indexedDimens: a list of dimens to maintain an inverted index for as rows are added. This
+  //     makes `where` filters on these dimens much faster. See buildIndex.
+  //   - metricTypes: the type used to store the metrics, which is either the name of a type for all
+  //     metrics, or a map of metricName => type. One of "float32" (the default), "float64",
+  //     "int32", "uint32" or "bigint64". float32 has only ~7 significant digits, so large sums
+  //     should use float64 or an integer type. Values stored in integer types are truncated, and
+  //     "bigint64" metrics are returned as BigInts.
+  //   - distinctCounts: a map of metricName => { column, precision }, for metrics which estimate
+  //     the number of distinct values of `column` in the rows added to each cell, e.g.
+  //     `{ uniqueVisitors: { column: "visitorId" } }`. `column` is a property of the rows passed to
+  //     addRow, and need not be a dimension. The estimate is made using a HyperLogLog sketch per
+  //     cell, which is merged when cells are combined by `select` and `totals`. Each sketch uses
+  //     2^precision bytes; the default precision of 12 gives a standard error of about 1.6%. The
+  //     map's values can also be just the column name. These metrics are not carried over by
+  //     explodeDimenIntoColumns, and rows passed to mergeRow can't update them.
+  //   - quantiles: a map of metricName => { column, percentiles, compression }, for metrics which
+  //     estimate percentiles of the numeric `column` of the rows added to each cell, e.g.
+  //     `{ latency: { column: "latencyMs", percentiles: [50, 95, 99] } }`. This produces the
+  //     metrics latency_p50, latency_p95 and latency_p99. The estimate is made using a t-digest per
+  //     cell, which is merged when cells are combined. `percentiles` defaults to [50, 95, 99], and
+  //     `compression` (higher is more accurate, but uses more memory) defaults to 100. Like
+  //     distinctCounts, these are not carried over by explodeDimenIntoColumns or updated by
+  //     mergeRow.
+  //   - timeDimens: a list of dimens whose values are dates or times: Date objects, timestamps, or
+  //     strings like "2023-01-05" or "2023-01-05T10:00:00Z". Time dimensions can be rolled up to
+  //     coarser periods using rollupTime, and `where` compares their values chronologically.
+  //   - attributeTables: a map of dimen => attribute table. See addAttributeTable.
+  //   - hierarchies: a map of hierarchy name => a list of its levels, from the top level down, e.g.
+  //     `{ geo: ["country", "region", "city"] }`. Each level is a dimen or a lookup dimen, and each
+  //     value of a level should belong to a single value of the level above it. See drillDown.
+  //   - queryCache: `{ maxCells, maxBytes }`, to cache the results of `select`, `where` and
+  //     `totals`, so that repeating a query returns the earlier result. The cache holds results up
+  //     to a total of `maxCells` cells and `maxBytes` bytes (both unlimited if omitted), and evicts
+  //     the least recently used results beyond that. The bytes are an estimate of the memory used
+  //     by the results' dimensions and metrics. The cache is cleared when this DataCube is
+  //     modified, e.g. by addRow. DataCubes derived from this one, like the results of `where`,
+  //     have caches of their own. Because results are shared, they're read-only: modifying a
+  //     cached DataCube, e.g. with addRow, throws an error, and cached totals are frozen. Modify a
+  //     clone instead. Filters which contain functions aren't cached.
+  constructor(dimens, metrics, options) {
+    this.separator = ",";
+    this.options = options || {};
+
+    const pageSize = 100 * 1024;
+
+    this.dimens = dimens;
+    this.metrics = metrics;
+
+    // A Dictionary per dimension, parallel to this.dimens.
+    this.dictionaries = dimens.map(() => new Dictionary());
+
+    // A PagedArray per dimension, parallel to this.dimens, each indexed by row index. These contain
+    // the index of each cell's dimension value in the dimension's dictionary. Each uses the
+    // narrowest array type which its dictionary allows, and is widened as its dictionary grows.
+    this.dimenColumns = dimens.map(() => new PagedArray(getDimenArrayType(0), pageSize));
+
+    // Cubes derived by `select` share their source's options, so these options can name dimens
+    // which this cube doesn't have.
+    this.timeDimens = (this.options.timeDimens || []).filter((d) => dimens.includes(d));
+
+    const aggregatorNames = this.options.aggregators || {};
+    const unknownMetrics = Object.keys(aggregatorNames).filter((m) => !metrics.includes(m));
+    if (unknownMetrics.length > 0) {
+      throw new Error(
+        `Aggregators were specified for metrics which are not part of the datacube: ` +
+          `[${unknownMetrics}]. The datacube has: [${metrics}].`,
+      );
+    }
+    // An array of aggregators, parallel to this.metrics.
+    this.aggregators = metrics.map((m) => {
+      const name = aggregatorNames[m] || "sum";
+      const aggregator = AGGREGATORS[name];
+      if (aggregator == null) {
+        throw new Error(
+          `Unknown aggregator "${name}" for metric ${m}. ` +
+            `Valid aggregators: [${Object.keys(AGGREGATORS)}].`,
+        );
+      }
+      return aggregator;
+    });
+
+    // Metrics which are backed by a sketch per cell, rather than by a single number. Each has a
+    // `name`, the `column` of the rows which feeds it, its `data` (a column of sketches, indexed by
+    // row index), and `outputs`: the names and functions which compute the values reported by
+    // getRows and totals from a cell's sketch.
+    this.sketchMetrics = [];
+    for (const [name, config] of Object.entries(this.options.distinctCounts || {})) {
+      const { column, precision } = typeof config == "string" ? { column: config } : config;
+      this.sketchMetrics.push({
+        name,
+        column,
+        data: new HyperLogLogColumn(precision || 12),
+        outputs: [{ name, get: (data, rowIndex) => data.estimate(rowIndex) }],
+      });
+    }
+    for (const [name, config] of Object.entries(this.options.quantiles || {})) {
+      const percentiles = config.percentiles || [50, 95, 99];
+      this.sketchMetrics.push({
+        name,
+        column: config.column,
+        data: new TDigestColumn(config.compression || 100),
+        outputs: percentiles.map((p) => ({
+          name: `${name}_p${p}`,
+          get: (data, rowIndex) => data.quantile(rowIndex, p / 100),
+        })),
+      });
+    }
+    // The outputs of every sketch metric, each with the index of its sketch metric.
+    this.sketchOutputs = this.sketchMetrics.flatMap((sketchMetric, i) =>
+      sketchMetric.outputs.map((output) => ({ ...output, sketchIndex: i }))
+    );
+
+    const derivedMetrics = this.options.derivedMetrics || {};
+    this.derivedMetrics = Object.keys(derivedMetrics);
+    const names = dimens.concat(
+      metrics,
+      this.sketchOutputs.map((o) => o.name),
+      this.derivedMetrics,
+    );
+    const conflictingNames = names.filter((name, i) => names.indexOf(name) != i);
+    if (conflictingNames.length > 0) {
+      throw new Error(
+        `These names are used by more than one dimension or metric: [${conflictingNames}].`,
+      );
+    }
+    // An array of functions, parallel to this.derivedMetrics.
+    this.derivedMetricFns = this.derivedMetrics.map((m) => derivedMetrics[m]);
+
+    this._buildLookupDimens();
+
+    const metricTypes = this.options.metricTypes;
+    // An array of type names, parallel to this.metrics.
+    this.metricTypes = metrics.map((m) => {
+      const type = (typeof metricTypes == "string" ? metricTypes : metricTypes?.[m]) || "float32";
+      if (METRIC_TYPES[type] == null) {
+        throw new Error(
+          `Unknown metric type "${type}" for metric ${m}. ` +
+            `Valid types: [${Object.keys(METRIC_TYPES)}].`,
+        );
+      }
+      return type;
+    });
+    // Converts a value to the representation of each metric's type. BigInt64Arrays only accept
+    // BigInts, and the other typed arrays only accept numbers, which they convert themselves.
+    this._coerceMetricValue = this.metricTypes.map((type) =>
+      type == "bigint64"
+        ? (v) => typeof v == "bigint" ? v : BigInt(Math.trunc(v))
+        : (v) => typeof v == "bigint" ? Number(v) : v
+    );
+
+    // An array with one PagedArray per metric, each indexed by row index.
+    this.metricsData = this.metricTypes.map((type) => new PagedArray(METRIC_TYPES[type], pageSize));
+
+    // Once the dimens and metrics in this dataview are known, we can generate code for a more
+    // efficient implementation of getRows.
+    this.getRows = this.genGetRows();
+
+    // Map of dimen => inverted index, for the dimens which have been indexed. See buildIndex.
+    this.indexes = new Map();
+    this.rebuildIndexes();
+
+    // Precomputed roll-ups of this DataCube, which `select`, `where` and `totals` use when they
+    // can. See materialize.
+    this.materializations = [];
+    // Whether the materializations need to be rebuilt before they're next used. See setCell.
+    this._areMaterializationsStale = false;
+
+    this._queryCache = this.options.queryCache ? new QueryCache(this.options.queryCache) : null;
+    // Whether this DataCube is held by another DataCube's query cache, which makes it read-only.
+    this._isCachedResult = false;
+
+    // The functions passed to subscribe, and the changes which they haven't been notified of yet:
+    // the row indices of the changed cells, and the removed rows. See subscribe.
+    this._listeners = [];
+    this._changedRows = new Set();
+    this._removedRows = [];
+    this._notificationScheduled = false;
+    // The live views which are derived from this DataCube. See live.
+    this._liveViews = [];
+
+    this._getDimenIndices = (row) => {
+      // The row's time values are all checked before any of its values are added to the
+      // dictionaries, so that a rejected row doesn't leave values in them.
+      for (const dimen of this.timeDimens) this._assertValidTimeValue(dimen, row[dimen]);
+      return this.dimens.map((d, i) => this.getDimenIndex(i, row[d]));
+    };
+    // The index which addRow and mergeRow use to find existing cells. It's built when it's first
+    // needed, so that cubes which are never appended to don't pay for it. See _getKeyIndex.
+    this._keyIndex = null;
+  }
+
+  clone() {
+    const dc = new DataCube(this.dimens, this.metrics, this.options);
+    dc.metricsData = this.metricsData.map((column) => column.clone());
+    for (const [i, sketchMetric] of this.sketchMetrics.entries()) {
+      dc.sketchMetrics[i].data = sketchMetric.data.clone();
+    }
+    dc.dimenColumns = this.dimenColumns.map((column) => column.clone());
+    dc.dictionaries = this.dictionaries.map((dictionary) => dictionary.clone());
+    dc.getRows = this.getRows;
+    for (const [dimen, index] of this.indexes) {
+      const indexCopy = new Map();
+      for (const [dimenIndex, bitmap] of index) {
+        indexCopy.set(dimenIndex, bitmap.clone());
+      }
+      dc.indexes.set(dimen, indexCopy);
+    }
+    for (const materialization of this.materializations) {
+      dc._addMaterialization(materialization.clone());
+    }
+    return dc;
+  }
+
+  // Returns a WritableStream which adds the rows written to it to this DataCube using addRow. Each
+  // chunk is either a row or an array of rows (a batch), which is what CsvParserStream and
+  // NdjsonParserStream produce. If a row can't be added, the stream errors, so the error is
+  // reported by the writer's `write` or by `pipeTo`.
+  // - options: optional.
+  //   - onProgress: a function which is called with the number of rows written so far, every
+  //     `progressInterval` rows, and when the stream is closed.
+  //   - progressInterval: defaults to 1,000,000.
+  //   - highWaterMark: the number of rows which can be queued before the stream applies
+  //     backpressure to its writer. Defaults to 10,000.
+  getWritableStream(options) {
+    const onProgress = options?.onProgress;
+    const progressInterval = options?.progressInterval ?? 1_000_000;
+    let rowCount = 0;
+    let nextProgressCount = progressInterval;
+    return new WritableStream({
+      write: (chunk) => {
+        const rows = Array.isArray(chunk) ? chunk : [chunk];
+        for (const row of rows) {
+          try {
+            this.addRow(row);
+          } catch (error) {
+            throw new Error(`Row ${rowCount + 1} couldn't be added: ${error.message}`, {
+              cause: error,
+            });
+          }
+          rowCount++;
+        }
+        if (onProgress && rowCount >= nextProgressCount) {
+          onProgress(rowCount);
+          nextProgressCount = (Math.floor(rowCount / progressInterval) + 1) * progressInterval;
+        }
+      },
+      close: () => {
+        onProgress?.(rowCount);
+      },
+    }, {
+      highWaterMark: options?.highWaterMark ?? 10_000,
+      size: (chunk) => Array.isArray(chunk) ? chunk.length : 1,
+    });
+  }
+
+  // Adds the metrics in `row` to the cell identified by the row's dimension values, combining them
+  // with the cell's existing metrics using each metric's aggregator.
+  addRow(row) {
+    this._upsertRow(row, false);
+  }
+
+  // Like addRow, but the metrics in `row` are already-aggregated values, e.g. a row returned by
+  // getRows(). These are combined with the cell's existing metrics using each aggregator's `merge`
+  // function, so e.g. a "count" metric is incremented by the row's count rather than by 1.
+  mergeRow(row) {
+    this._upsertRow(row, true);
+  }
+
+  _upsertRow(row, isAggregated) {
+    this._beforeChange();
+    const indices = this._getDimenIndices(row);
+    const values = this.metrics.map((metric, m) => {
+      const rowValue = row[metric];
+      return this._coerceMetricValue[m](
+        isAggregated ? rowValue : this.aggregators[m].fromValue(rowValue),
+      );
+    });
+    const rowIndex = this._mergeIntoCell(indices, values);
+    if (!isAggregated) {
+      for (const sketchMetric of this.sketchMetrics) {
+        sketchMetric.data.add(rowIndex, row[sketchMetric.column]);
+      }
+    }
+    for (const materialization of this._getMaterializationsToUpdate()) {
+      materialization._upsertRow(row, isAggregated);
+    }
+    this._recordChange(rowIndex);
+    for (const view of this._liveViews) {
+      view._applyLiveRow(row, (view, row) => view._upsertRow(row, isAggregated));
+    }
+  }
+
+  // Adds rows which are stored as columns to this DataCube, as addRow would. See fromColumns.
+  _addColumns(columns) {
+    const getLength = (column) => column.indices ? column.indices.length : column.length;
+    const requiredColumns = this.dimens.concat(this.metrics);
+    const missingColumns = requiredColumns.filter((name) => columns[name] == null);
+    if (missingColumns.length > 0) {
+      throw new Error(
+        `These dimens and metrics have no column: [${missingColumns}]. ` +
+          `The columns are: [${Object.keys(columns)}].`,
+      );
+    }
+    const sketchColumns = this.sketchMetrics.map((sketchMetric) => columns[sketchMetric.column]);
+    const allColumns = requiredColumns.map((name) => columns[name])
+      .concat(sketchColumns.filter((column) => column != null));
+    const rowCount = allColumns.length == 0 ? 0 : getLength(allColumns[0]);
+    for (const name of requiredColumns.concat(this.sketchMetrics.map((s) => s.column))) {
+      if (columns[name] != null && getLength(columns[name]) != rowCount) {
+        throw new Error(
+          `Column ${name} has ${getLength(columns[name])} rows, but column ` +
+            `${requiredColumns[0]} has ${rowCount}.`,
+        );
+      }
+    }
+    if (rowCount == 0) return;
+    this._beforeChange();
+
+    // Functions which return the dimension index of each dimen in a given row.
+    const dimenIndexGetters = this.dimens.map((dimen, d) => {
+      const column = columns[dimen];
+      if (column.indices == null) return (i) => this.getDimenIndex(d, column[i]);
+      // The dictionary is mapped to dimension indices as its values are used, so that unused values
+      // aren't added to this DataCube's dictionary.
+      const { indices, dictionary } = column;
+      const dimenIndices = new Array(dictionary.length).fill(null);
+      return (i) => dimenIndices[indices[i]] ??= this.getDimenIndex(d, dictionary[indices[i]]);
+    });
+    const metricColumns = this.metrics.map((m) => columns[m]);
+    const dimenIndices = new Array(this.dimens.length);
+    const values = new Array(this.metrics.length);
+    for (let i = 0; i < rowCount; i++) {
+      for (let d = 0; d < dimenIndices.length; d++) dimenIndices[d] = dimenIndexGetters[d](i);
+      for (let m = 0; m < values.length; m++) {
+        values[m] = this._coerceMetricValue[m](this.aggregators[m].fromValue(metricColumns[m][i]));
+      }
+      const rowIndex = this._mergeIntoCell(dimenIndices, values);
+      for (const [s, sketchMetric] of this.sketchMetrics.entries()) {
+        sketchMetric.data.add(rowIndex, sketchColumns[s]?.[i]);
+      }
+      this._recordChange(rowIndex);
+    }
+    // The changes are applied to materializations and live views all at once, rather than row by
+    // row.
+    if (this._materializations.length > 0) this._rebuildMaterializations();
+    for (const view of this._liveViews) view._recomputeLive();
+  }
+
+  // Combines `metricValues` with the metrics of the cell identified by `dimenIndices` using each
+  // metric's aggregator, or appends a new cell if there's no such cell. Returns its row index.
+  _mergeIntoCell(dimenIndices, metricValues) {
+    const rowIndex = this._getKeyIndex().find(dimenIndices);
+    if (rowIndex == null) return this._appendCell(dimenIndices, metricValues);
+    for (let m = 0; m < this.metrics.length; m++) {
+      const column = this.metricsData[m];
+      column.set(rowIndex, this.aggregators[m].merge(column.get(rowIndex), metricValues[m]));
+    }
+    return rowIndex;
+  }
+
+  // Appends a new cell to this DataCube, and returns its row index. The cell mustn't exist yet.
+  // - dimenIndices: the dimension indices (indices into each dimension's dictionary) of the cell.
+  // - metricValues: the values of the cell's metrics, parallel to this.metrics.
+  _appendCell(dimenIndices, metricValues) {
+    const rowIndex = this.count();
+    for (let i = 0; i < dimenIndices.length; i++) {
+      this.dimenColumns[i].set(rowIndex, dimenIndices[i]);
+    }
+    for (let m = 0; m < this.metrics.length; m++) {
+      this.metricsData[m].set(rowIndex, metricValues[m]);
+    }
+    this._getKeyIndex().update();
+    for (const [dimen, index] of this.indexes) {
+      this._addToIndex(index, dimenIndices[this.dimens.indexOf(dimen)], rowIndex);
+    }
+    return rowIndex;
+  }
+
+  // Returns the index of this DataCube's cells by their dimension indices. Cells which were written
+  // directly to dimenColumns, rather than by _appendCell, e.g. by readFromUrl or copyRows, are
+  // added to the index here, so every DataCube can be appended to.
+  _getKeyIndex() {
+    this._keyIndex ??= new CellKeyIndex(this);
+    this._keyIndex.update();
+    return this._keyIndex;
+  }
+
+  // Returns the dimension indices of the cell at `rowIndex`.
+  _getRowDimenIndices(rowIndex) {
+    return this.dimenColumns.map((column) => column.get(rowIndex));
+  }
+
+  // Returns the row index of the cell with the dimension values in `row`, or null if there's no
+  // such cell.
+  _findRowIndex(row) {
+    const indices = this.dimens.map((d, i) => this.dictionaries[i].indexOf(row[d]));
+    if (indices.some((i) => i == null)) return null;
+    return this._getKeyIndex().find(indices);
+  }
+
+  // Retracts a row which was previously passed to addRow, e.g. when the upstream data is corrected.
+  // The row's metrics are subtracted from its cell. The cell is kept, even if its metrics become 0;
+  // use removeRow to remove it. This is only possible for metrics whose aggregator is "sum" or
+  // "count", and for DataCubes without distinct counts or quantiles, whose sketches can't be
+  // reversed.
+  subtractRow(row) {
+    const irreversibleMetrics = this.metrics.filter((_, m) => this.aggregators[m].subtract == null)
+      .concat(this.sketchMetrics.map((sketchMetric) => sketchMetric.name));
+    if (irreversibleMetrics.length > 0) {
+      throw new Error(
+        `Rows can't be subtracted from these metrics, because their aggregators can't be ` +
+          `reversed: [${irreversibleMetrics}].`,
+      );
+    }
+    const rowIndex = this._findRowIndex(row);
+    if (rowIndex == null) {
+      throw new Error(`The datacube has no cell for the row ${JSON.stringify(row)}.`);
+    }
+    this._beforeChange();
+    for (let m = 0; m < this.metrics.length; m++) {
+      const aggregator = this.aggregators[m];
+      const column = this.metricsData[m];
+      const value = this._coerceMetricValue[m](aggregator.fromValue(row[this.metrics[m]]));
+      column.set(rowIndex, aggregator.subtract(column.get(rowIndex), value));
+    }
+    for (const materialization of this._getMaterializationsToUpdate()) {
+      materialization.subtractRow(row);
+    }
+    this._recordChange(rowIndex);
+    for (const view of this._liveViews) {
+      view._applyLiveRow(row, (view, row) => view.subtractRow(row));
+    }
+  }
+
+  // Removes the cell with the dimension values in `row`. Returns true if the cell existed.
+  // Each call copies the remaining cells, so to remove many cells, use removeRows or deleteWhere,
+  // which copy them once.
+  removeRow(row) {
+    return this.removeRows([row]) == 1;
+  }
+
+  // Removes the cells with the dimension values in each of `rows`, and returns the number of cells
+  // removed. Rows which have no cell are ignored.
+  removeRows(rows) {
+    const removedRows = new Bitmap(0);
+    let removedCount = 0;
+    for (const row of rows) {
+      const rowIndex = this._findRowIndex(row);
+      if (rowIndex == null || removedRows.has(rowIndex)) continue;
+      removedRows.add(rowIndex);
+      removedCount++;
+    }
+    if (removedCount > 0) this._keepRows(removedRows.not(this.count()));
+    return removedCount;
+  }
+
+  // Removes the cells which match `dimenFilters`, and returns the number of cells removed.
+  // - dimenFilters: see `where`.
+  deleteWhere(dimenFilters) {
+    const count = this.count();
+    const rowIndices = this.getFilteredRows(dimenFilters).not(count);
+    const keptCount = this._keepRows(rowIndices);
+    return count - keptCount;
+  }
+
+  // Sets the metrics of the cell with the dimension values in `row` to the metrics in `row`,
+  // replacing their aggregated values. The cell is created if it doesn't exist. Metrics which
+  // aren't in `row` are unchanged, or 0 for a new cell. The cell's distinct counts and quantiles
+  // are unchanged.
+  // Materializations and live views are updated incrementally when the cell is new, or when each
+  // changed metric's aggregate can be updated without the other cells, e.g. for "sum" metrics, or
+  // when a "max" metric is raised. Otherwise, e.g. when the highest value of a "max" metric is
+  // lowered, materializations are rebuilt once they're next used, so that a series of setCell
+  // calls rebuilds them once, and live views are recomputed.
+  setCell(row) {
+    this._beforeChange();
+    const setMetrics = this.metrics.map((metric) => row[metric] !== undefined);
+    const values = this.metrics.map((metric, m) =>
+      this._coerceMetricValue[m](setMetrics[m] ? row[metric] : 0)
+    );
+    let rowIndex = this._findRowIndex(row);
+    let oldValues = null;
+    if (rowIndex == null) {
+      rowIndex = this._appendCell(this._getDimenIndices(row), values);
+      for (const sketchMetric of this.sketchMetrics) sketchMetric.data.add(rowIndex, null);
+    } else {
+      oldValues = this.metricsData.map((column) => column.get(rowIndex));
+      for (let m = 0; m < this.metrics.length; m++) {
+        if (setMetrics[m]) this.metricsData[m].set(rowIndex, values[m]);
+      }
+    }
+    const newValues = this.metricsData.map((column) => column.get(rowIndex));
+    this._recordChange(rowIndex);
+    this._applyCellChangeToDerivedCubes(row, oldValues, newValues);
+  }
+
+  // Applies a change to the metrics of the cell with the dimension values in `row` to the
+  // materializations and live views of this DataCube. See setCell.
+  // - oldValues: the cell's metrics before the change, or null if the cell is new.
+  // - newValues: the cell's metrics after the change.
+  _applyCellChangeToDerivedCubes(row, oldValues, newValues) {
+    for (const materialization of this._getMaterializationsToUpdate()) {
+      if (!materialization._applyCellChange(row, oldValues, newValues)) {
+        this._areMaterializationsStale = true;
+        break;
+      }
+    }
+    for (const view of this._liveViews) {
+      view._applyLiveRow(row, (view, row) => {
+        if (!view._applyCellChange(row, oldValues, newValues)) view._recomputeLive();
+      });
+    }
+  }
+
+  // Applies a change to the metrics of a cell of the DataCube which this one is derived from to
+  // the cell of this DataCube which contains it, using each metric's aggregator. Returns false,
+  // without changing anything, if the new metrics of this DataCube's cell depend on the other cells
+  // which it contains. See _applyCellChangeToDerivedCubes.
+  _applyCellChange(row, oldValues, newValues) {
+    const dimenIndices = this._getDimenIndices(row);
+    let rowIndex = oldValues == null ? null : this._getKeyIndex().find(dimenIndices);
+    if (rowIndex == null) {
+      this._beforeChange();
+      rowIndex = this._mergeIntoCell(dimenIndices, newValues);
+      for (const sketchMetric of this.sketchMetrics) sketchMetric.data.add(rowIndex, null);
+    } else {
+      const values = this.aggregators.map((aggregator, m) => {
+        const value = this.metricsData[m].get(rowIndex);
+        if (oldValues[m] === newValues[m]) return value;
+        if (aggregator.subtract) {
+          return aggregator.merge(aggregator.subtract(value, oldValues[m]), newValues[m]);
+        }
+        return aggregator.replace?.(value, oldValues[m], newValues[m]);
+      });
+      if (values.some((value) => value === undefined)) return false;
+      this._beforeChange();
+      for (let m = 0; m < this.metrics.length; m++) this.metricsData[m].set(rowIndex, values[m]);
+    }
+    this._recordChange(rowIndex);
+    this._applyCellChangeToDerivedCubes(row, oldValues, newValues);
+    return true;
+  }
+
+  // Removes every row which isn't in `rowIndices` (a Bitmap), compacting the dimension and metric
+  // data. Returns the number of rows which are kept.
+  _keepRows(rowIndices) {
+    this._beforeChange();
+    if (this._listeners.length > 0) {
+      this._recordRemovedRows(this.copyRows(rowIndices.not(this.count())).getRows());
+      // The kept rows are renumbered in order, so the changed rows are renumbered to match.
+      const changedRows = new Set();
+      let newRowIndex = 0;
+      rowIndices.forEach((rowIndex) => {
+        if (this._changedRows.has(rowIndex)) changedRows.add(newRowIndex);
+        newRowIndex++;
+      });
+      this._changedRows = changedRows;
+    }
+    this._replaceData(this.copyRows(rowIndices));
+    for (const view of this._liveViews) view._recomputeLive();
+    return this.count();
+  }
+
+  // Replaces the cells of this DataCube with the cells of `dc`, which has the same dimens, metrics
+  // and options.
+  _replaceData(dc) {
+    this._beforeChange();
+    this.dictionaries = dc.dictionaries;
+    this.dimenColumns = dc.dimenColumns;
+    this.metricsData = dc.metricsData;
+    for (const [i, sketchMetric] of this.sketchMetrics.entries()) {
+      sketchMetric.data = dc.sketchMetrics[i].data;
+    }
+    const indexedDimens = Array.from(this.indexes.keys());
+    this.indexes = new Map();
+    this.buildIndex(indexedDimens);
+    this._keyIndex = null;
+    // The materializations are rebuilt once they're next used, so that consecutive calls, e.g. a
+    // loop of removeRow calls, rebuild them once.
+    this._areMaterializationsStale = true;
+  }
+
+  // Calls `listener` with the changes to this DataCube's cells after it's modified, e.g. by addRow,
+  // removeRow or setCell. The changes made by consecutive calls, like a loop of addRow calls or the
+  // rows written to getWritableStream, are delivered together in a microtask, as an object with:
+  // - changedRows: the current values of the cells which were added or changed, in the format of
+  //   getRows.
+  // - removedRows: the cells which were removed, with their values before they were removed.
+  // Returns a function which unsubscribes `listener`.
+  subscribe(listener) {
+    this._listeners.push(listener);
+    return () => {
+      this._listeners = this._listeners.filter((l) => l != listener);
+    };
+  }
+
+  // Records that the cell at `rowIndex` has changed, for the listeners passed to subscribe.
+  _recordChange(rowIndex) {
+    if (this._listeners.length == 0) return;
+    this._changedRows.add(rowIndex);
+    this._scheduleNotification();
+  }
+
+  _recordRemovedRows(rows) {
+    this._removedRows.push(...rows);
+    this._scheduleNotification();
+  }
+
+  _scheduleNotification() {
+    if (this._notificationScheduled) return;
+    this._notificationScheduled = true;
+    queueMicrotask(() => {
+      this._notificationScheduled = false;
+      const rowIndices = Array.from(this._changedRows).sort((a, b) => a - b);
+      const event = {
+        changedRows: this.copyRows(rowIndices).getRows(),
+        removedRows: this._removedRows,
+      };
+      this._changedRows = new Set();
+      this._removedRows = [];
+      for (const listener of this._listeners) listener(event);
+    });
+  }
+
+  // Returns a live view of this DataCube, which is a DataCube that's kept up to date as rows are
+  // added to the DataCube this one was derived from. For example, `dc.where(f).select(d).live()`
+  // stays equal to what `dc.where(f).select(d)` would return after later calls to `dc.addRow`.
+  // Rows added to the source are passed through the view's `where` filters and added to the view,
+  // so the view is updated incrementally rather than recomputed. Changes which can't be applied
+  // incrementally, like removeRow, recompute the view. Use subscribe to be notified when the view
+  // changes, and detach to stop updating it.
+  // This DataCube must have been created by a chain of `where` and `select` calls, and the view
+  // is updated by changes to the DataCube at the start of the chain.
+  live() {
+    const ops = [];
+    for (let lineage = this._lineage; lineage; lineage = lineage.source._lineage) {
+      ops.unshift(lineage);
+    }
+    if (ops.length == 0) {
+      throw new Error("Live views can only be created for DataCubes returned by where or select.");
+    }
+    const source = ops[0].source;
+    const view = new DataCube(this.dimens, this.metrics, this.options);
+    view._liveSource = source;
+    view._liveOps = ops.map((op) =>
+      op.where ? { where: op.where, node: source.compileFilter(op.where) } : op
+    );
+    view._replaceData(view._computeLive());
+    source._liveViews.push(view);
+    return view;
+  }
+
+  // Stops updating this live view. See live.
+  detach() {
+    if (this._liveSource == null) return;
+    this._liveSource._liveViews = this._liveSource._liveViews.filter((v) => v != this);
+    this._liveSource = null;
+  }
+
+  // Returns a new DataCube computed by applying this live view's operations to its source.
+  _computeLive() {
+    let dc = this._liveSource;
+    for (const op of this._liveOps) {
+      dc = op.where ? dc._where(op.where) : dc._select(op.select);
+    }
+    return dc;
+  }
+
+  // Recomputes this live view from its source, after the source has changed in a way which can't be
+  // applied incrementally.
+  _recomputeLive() {
+    if (this._listeners.length > 0) {
+      const dc = this._computeLive();
+      // The dictionary and the row indices are replaced, so cells are compared using their
+      // dimension values. Cells whose values are unchanged aren't reported, unless they had changed
+      // before the view was recomputed and their listeners haven't been notified yet.
+      const dimenKey = (row) => getCacheKey(this.dimens.map((d) => row[d]));
+      const oldRows = this.getRows();
+      const keyToOldRow = new Map(oldRows.map((row) => [dimenKey(row), row]));
+      const changedKeys = new Set(Array.from(this._changedRows, (i) => dimenKey(oldRows[i])));
+      const newRows = dc.getRows();
+      const newKeys = new Set(newRows.map(dimenKey));
+      this._recordRemovedRows(oldRows.filter((row) => !newKeys.has(dimenKey(row))));
+      this._replaceData(dc);
+      this._changedRows = new Set();
+      for (const [rowIndex, row] of newRows.entries()) {
+        const key = dimenKey(row);
+        const oldRow = keyToOldRow.get(key);
+        if (oldRow == null || changedKeys.has(key) || getCacheKey(oldRow) != getCacheKey(row)) {
+          this._recordChange(rowIndex);
+        }
+      }
+    } else {
+      this._replaceData(this._computeLive());
+    }
+    for (const view of this._liveViews) view._recomputeLive();
+  }
+
+  // Applies a change to a row of this live view's source to this view, if the row passes the view's
+  // `where` filters.
+  // - applyFn: a function which takes this view and the row, and applies the change.
+  _applyLiveRow(row, applyFn) {
+    const source = this._liveSource;
+    if (!this._liveOps.every((op) => op.node == null || source._rowMatches(op.node, row))) return;
+    // Lookup dimensions of the source which are real dimensions of this view are added to the row.
+    const lookupDimens = this.dimens.filter((d) => source.lookupDimens.has(d));
+    if (lookupDimens.length > 0) {
+      row = { ...row };
+      for (const d of lookupDimens) {
+        row[d] = source._getLookupFn(d)(row[source.lookupDimens.get(d).dimen]);
+      }
+    }
+    applyFn(this, row);
+  }
+
+  // Returns true if `row`, an object with a property for each dimen, is included by the filter node
+  // `node`. See compileFilter.
+  _rowMatches(node, row) {
+    switch (node.type) {
+      case "and":
+        return node.children.every((child) => this._rowMatches(child, row));
+      case "or":
+        return node.children.some((child) => this._rowMatches(child, row));
+      case "not":
+        return !this._rowMatches(node.child, row);
+      case "dimen":
+        return node.valueFilter(row[node.dimen]);
+    }
+  }
+
+  // The roll-ups of this DataCube. See materialize. If they're stale, they're rebuilt first.
+  get materializations() {
+    if (this._areMaterializationsStale) this._rebuildMaterializations();
+    return this._materializations;
+  }
+
+  set materializations(materializations) {
+    this._materializations = materializations;
+  }
+
+  // Returns the materializations which a change to this DataCube's cells should be applied to.
+  // Stale materializations are left to be rebuilt from the changed cells when they're next used,
+  // since rebuilding them here and then applying the change would apply it twice.
+  _getMaterializationsToUpdate() {
+    return this._areMaterializationsStale ? [] : this._materializations;
+  }
+
+  // Recomputes the materializations after cells have been changed in a way which can't be applied
+  // to them incrementally.
+  _rebuildMaterializations() {
+    this._areMaterializationsStale = false;
+    const dimenSets = this._materializations.map((m) => m.dimens);
+    this.materializations = [];
+    this.materialize(dimenSets);
+  }
+
+  // - allowLookupDimens: optional; whether the lookup dimensions of attribute tables are valid.
+  assertValidDimensions(dimens, allowLookupDimens) {
+    const validDimens = allowLookupDimens
+      ? this.dimens.concat(Array.from(this.lookupDimens.keys()))
+      : this.dimens;
+    const incorrectDimens = dimens.filter((d) => !validDimens.includes(d));
+    if (incorrectDimens.length > 0) {
+      throw new Error(
+        `These dimens are not part of the datacube: [${incorrectDimens}]. ` +
+          `The datacube has: [${validDimens}].`,
+      );
+    }
+  }
+
+  // Attaches an attribute table to `dimen`, so that the attributes of each value of `dimen` can be
+  // used like dimensions in `select`, `where` and `getDimensionValues`, without adding them to
+  // every row. For example, given a "productId" dimension and the table
+  // `[{ productId: 1, brand: "Acme" }, { productId: 2, brand: "Zenith" }]`, `select(["brand"])`
+  // combines the cells of each brand, and `where({ brand: "Acme" })` keeps the cells of product 1.
+  // These "lookup dimensions" aren't included in the output of getRows, unless they're selected.
+  // Values of `dimen` which aren't in the table have null attributes. Cubes derived from this one
+  // by operations like `where` and `select` keep the attribute table, as long as they have `dimen`.
+  // - table: an array of objects which each have a value of `dimen` as a property, and the
+  //   attributes of that value as the other properties.
+  addAttributeTable(dimen, table) {
+    this.assertValidDimensions([dimen]);
+    const conflictingDimens = Array.from(new Set(table.flatMap(Object.keys)))
+      .filter((attribute) => attribute != dimen && this.dimens.includes(attribute));
+    if (conflictingDimens.length > 0) {
+      throw new Error(
+        `These attributes of the ${dimen} attribute table are already dimensions of the ` +
+          `datacube: [${conflictingDimens}].`,
+      );
+    }
+    this._beforeChange();
+    this.options = {
+      ...this.options,
+      attributeTables: { ...this.options.attributeTables, [dimen]: table },
+    };
+    this._buildLookupDimens();
+  }
+
+  // Builds this.lookupDimens, a map of lookupDimen => { dimen, values }, from the attributeTables
+  // option. `values` is a map of each value of `dimen` to the value of its attribute lookupDimen.
+  // Attribute tables for dimens which this cube doesn't have, and attributes which are already
+  // dimensions (e.g. in a cube created by selecting a lookup dimension), are ignored.
+  _buildLookupDimens() {
+    this.lookupDimens = new Map();
+    for (const [dimen, table] of Object.entries(this.options.attributeTables || {})) {
+      if (!this.dimens.includes(dimen)) continue;
+      for (const record of table) {
+        for (const [attribute, value] of Object.entries(record)) {
+          if (attribute == dimen || this.dimens.includes(attribute)) continue;
+          let lookup = this.lookupDimens.get(attribute);
+          if (lookup == null) {
+            lookup = { dimen, values: new Map() };
+            this.lookupDimens.set(attribute, lookup);
+          } else if (lookup.dimen != dimen) {
+            throw new Error(
+              `The attribute ${attribute} is in the attribute tables of both ${lookup.dimen} and ` +
+                `${dimen}.`,
+            );
+          }
+          lookup.values.set(record[dimen], value);
+        }
+      }
+    }
+    const metricNames = this.metrics.concat(
+      this.sketchOutputs.map((o) => o.name),
+      this.derivedMetrics,
+    );
+    const conflictingNames = Array.from(this.lookupDimens.keys())
+      .filter((d) => metricNames.includes(d));
+    if (conflictingNames.length > 0) {
+      throw new Error(
+        `These attributes have the same name as a metric of the datacube: [${conflictingNames}].`,
+      );
+    }
+  }
+
+  // Returns a function which maps a value of the lookup dimension's dimen to the value of the
+  // lookup dimension.
+  _getLookupFn(lookupDimen) {
+    const { values } = this.lookupDimens.get(lookupDimen);
+    return (value) => values.get(value) ?? null;
+  }
+
+  // Returns a new copy of this DataCube containing only the dimensions in `dimens`.
+  // - dimens: a list of dimensions or lookup dimensions (see addAttributeTable) which are present
+  //   in this DataCube.
+  select(dimens) {
+    return this._cacheQuery({ select: dimens }, () => this._select(dimens));
+  }
+
+  _select(dimens) {
+    this.assertValidDimensions(dimens, true);
+    const dc = (this._findMaterialization(dimens) || this).rollUp(dimens);
+    // Used by live views to find the source of this DataCube.
+    dc._lineage = { source: this, select: dimens };
+    return dc;
+  }
+
+  // Returns the result of `computeFn`, which computes the query `query`, using the query cache if
+  // this DataCube has one.
+  // - query: an object which identifies the query; see getCacheKey.
+  _cacheQuery(query, computeFn) {
+    const key = this._queryCache ? getCacheKey(query) : null;
+    if (key == null) return computeFn();
+    let result = this._queryCache.get(key);
+    if (result === undefined) {
+      result = computeFn();
+      const isCached = result instanceof DataCube
+        ? this._queryCache.set(key, result, result.count(), result._estimateByteSize())
+        : this._queryCache.set(key, result, 1, 8 * Object.keys(result).length);
+      // Cached results are returned to every caller which makes the same query, so they're made
+      // read-only.
+      if (isCached && result instanceof DataCube) {
+        result._isCachedResult = true;
+      } else if (isCached) {
+        Object.freeze(result);
+      }
+    }
+    return result;
+  }
+
+  // Called before this DataCube's cells or attribute tables are changed. Throws an error if this
+  // DataCube is a cached query result, and otherwise clears the query cache, whose results would be
+  // out of date.
+  _beforeChange() {
+    if (this._isCachedResult) {
+      throw new Error(
+        "This datacube is a cached query result, which is shared by every caller making the same " +
+          "query, so it can't be modified. Modify a clone of it instead.",
+      );
+    }
+    this._queryCache?.clear();
+  }
+
+  // Returns an estimate of the number of bytes used by this DataCube's dimensions and metrics, not
+  // including the dimension dictionary.
+  _estimateByteSize() {
+    const columns = this.dimenColumns.concat(this.metricsData);
+    return columns.reduce((sum, column) => sum + column.length * column.BYTES_PER_ELEMENT, 0);
+  }
+
+  // Precomputes roll-ups of this DataCube for each list of dimens in `dimenSets`, so that `select`
+  // and `totals` can be answered from the smallest roll-up which has the dimens they need, rather
+  // than from every cell of this DataCube. For example, after `materialize([["date", "country"],
+  // ["country"]])`, `select(["date"])` is computed from the date-country roll-up. Each roll-up is
+  // computed from the smallest existing roll-up which contains it. The roll-ups are kept up to
+  // date by addRow and mergeRow, are filtered along with this DataCube by `where` when they have
+  // the filtered dimens, and are written and read by writeToFile and readFromFile. Returns this
+  // DataCube.
+  // - dimenSets: a list of lists of dimens of this DataCube.
+  materialize(dimenSets) {
+    for (const dimens of dimenSets) this.assertValidDimensions(dimens);
+    const isMaterialized = (dimens) =>
+      this.materializations.some((m) =>
+        m.dimens.length == dimens.length && dimens.every((d) => m.dimens.includes(d))
+      );
+    // Compute the largest roll-ups first, so the smaller ones can be computed from them.
+    const sortedSets = dimenSets.slice(0).sort((a, b) => b.length - a.length);
+    for (const dimens of sortedSets) {
+      if (!isMaterialized(dimens)) this._addMaterialization(this._select(dimens));
+    }
+    return this;
+  }
+
+  // Registers `materialization` as a roll-up of this DataCube. Rows added to this DataCube are also
+  // added to it.
+  _addMaterialization(materialization) {
+    this.materializations.push(materialization);
+  }
+
+  // Returns the materialization with the fewest cells which has every dimen in `dimens` (which can
+  // include lookup dimens), or null if there isn't one.
+  _findMaterialization(dimens) {
+    const sourceDimens = dimens.map((d) => this.lookupDimens.get(d)?.dimen ?? d);
+    let result = null;
+    for (const m of this.materializations) {
+      if (!sourceDimens.every((d) => m.dimens.includes(d))) continue;
+      if (result == null || m.count() < result.count()) result = m;
+    }
+    return result;
+  }
+
+  // Returns a new DataCube with the dimensions `dimens`, into which every cell of this DataCube is
+  // combined using each metric's aggregator. This is the basis for `select`, and for operations
+  // which replace dimension values.
+  // - dimens: a list of dimensions or lookup dimensions which are present in this DataCube.
+  // - valueMappers: optional; a map of dimen => function, which takes a value of that dimension and
+  //   returns the value to use for it in the new DataCube. Cells whose values are mapped to the
+  //   same value are combined. Each function is called once per distinct dimension value.
+  rollUp(dimens, valueMappers) {
+    valueMappers = { ...valueMappers };
+    for (const d of dimens) {
+      if (this.lookupDimens.has(d)) valueMappers[d] = this._getLookupFn(d);
+    }
+    const destDc = new DataCube(dimens, this.metrics, this.options);
+
+    const destDimenIndexToSrcIndex = dimens.map((d) => {
+      return this.dimens.indexOf(this.lookupDimens.get(d)?.dimen ?? d);
+    });
+
+    // The dest's dictionaries only contain the values which its cells use. For each dest dimension,
+    // this maps the source's dimension indices to the dest's, and is filled in as values are
+    // encountered.
+    const destDimenIndices = destDimenIndexToSrcIndex.map((srcIndex) =>
+      new Int32Array(this.dictionaries[srcIndex].length).fill(-1)
+    );
+
+    const destIndices = new Array(dimens.length);
+    const srcValues = new Array(this.metrics.length);
+
+    for (let rowIndex = 0; rowIndex < this.count(); rowIndex++) {
+      for (let i = 0; i < dimens.length; i++) {
+        const srcIndex = destDimenIndexToSrcIndex[i];
+        const srcDimenIndex = this.dimenColumns[srcIndex].get(rowIndex);
+        let destDimenIndex = destDimenIndices[i][srcDimenIndex];
+        if (destDimenIndex == -1) {
+          const srcValue = this.dictionaries[srcIndex].values[srcDimenIndex];
+          const valueMapper = valueMappers[dimens[i]];
+          destDimenIndex = destDc.getDimenIndex(i, valueMapper ? valueMapper(srcValue) : srcValue);
+          destDimenIndices[i][srcDimenIndex] = destDimenIndex;
+        }
+        destIndices[i] = destDimenIndex;
+      }
+      for (let m = 0; m < this.metrics.length; m++) {
+        srcValues[m] = this.metricsData[m].get(rowIndex);
+      }
+      // The dest's indexes and key index are kept up to date as cells are added, so it can be
+      // appended to.
+      const index = destDc._mergeIntoCell(destIndices, srcValues);
+      for (const [i, sketchMetric] of this.sketchMetrics.entries()) {
+        destDc.sketchMetrics[i].data.merge(index, sketchMetric.data, rowIndex);
+      }
+    }
+    return destDc;
+  }
+
+  // Builds an inverted index for each dimen in `dimens`, which maps each dimension value to a
+  // bitmap of the rows which have that value. `where` uses these indexes to answer filters on these
+  // dimens by combining bitmaps, rather than by scanning every row. Once built, an index is kept up
+  // to date as rows are added. Cubes created by `select` and `where` rebuild the indexes listed in
+  // the `indexedDimens` option.
+  // - dimens: optional; defaults to every dimension in this DataCube.
+  buildIndex(dimens) {
+    dimens = dimens || this.dimens;
+    this.assertValidDimensions(dimens);
+    for (const dimen of dimens) {
+      const index = new Map();
+      const dimenOffset = this.dimens.indexOf(dimen);
+      for (let rowIndex = 0; rowIndex < this.count(); rowIndex++) {
+        this._addToIndex(index, this.dimenColumns[dimenOffset].get(rowIndex), rowIndex);
+      }
+      this.indexes.set(dimen, index);
+    }
+  }
+
+  // Rebuilds the indexes for this cube's `indexedDimens` option, after its data has been replaced.
+  rebuildIndexes() {
+    this.indexes = new Map();
+    const indexedDimens = this.options.indexedDimens || [];
+    this.buildIndex(indexedDimens.filter((d) => this.dimens.includes(d)));
+  }
+
+  _addToIndex(index, dimenIndex, rowIndex) {
+    let bitmap = index.get(dimenIndex);
+    if (bitmap == null) {
+      bitmap = new Bitmap(this.count());
+      index.set(dimenIndex, bitmap);
+    }
+    bitmap.add(rowIndex);
+  }
+
+  // Returns the index of `dimenValue` in the dictionary of the dimension at `dimenOffset` in
+  // this.dimens, inserting `dimenValue` if it's not already present. When the dictionary outgrows
+  // the dimension's array type, the dimension's column is replaced with a wider one. Values of time
+  // dimensions which aren't valid dates or times throw an error.
+  getDimenIndex(dimenOffset, dimenValue) {
+    const dictionary = this.dictionaries[dimenOffset];
+    const dimen = this.dimens[dimenOffset];
+    if (this.timeDimens.includes(dimen)) this._assertValidTimeValue(dimen, dimenValue);
+    const i = dictionary.add(dimenValue);
+    const arrayType = getDimenArrayType(dictionary.length);
+    if (arrayType != this.dimenColumns[dimenOffset].arrayType) {
+      this.dimenColumns[dimenOffset] = this.dimenColumns[dimenOffset].convert(arrayType);
+    }
+    return i;
+  }
+
+  // Throws an error if `value` of the time dimension `dimen` isn't a valid date or time. The values
+  // in the dimen's dictionary were checked when they were added, so they aren't checked again.
+  _assertValidTimeValue(dimen, value) {
+    if (this.dictionaries[this.dimens.indexOf(dimen)].indexOf(value) == null) {
+      toValidTimestamp(dimen, value);
+    }
+  }
+
+  // Returns an array which has the set of all values for the given dimension or lookup dimension.
+  // - parentPath: optional; an array of values of the levels above `dimen` in its hierarchy, from
+  //   the top level down. Only the values of `dimen` which belong to this path are returned, e.g.
+  //   `getDimensionValues("city", ["US", "California"])`. See the hierarchies option.
+  getDimensionValues(dimen, parentPath) {
+    if (parentPath?.length > 0) {
+      const hierarchy = Object.keys(this.options.hierarchies || {})
+        .find((h) => this.options.hierarchies[h].includes(dimen));
+      if (hierarchy == null) throw new Error(`${dimen} is not a level of any hierarchy.`);
+      const levels = this._getHierarchyLevels(hierarchy);
+      if (parentPath.length > levels.indexOf(dimen)) {
+        throw new Error(
+          `The path [${parentPath}] is longer than the levels above ${dimen} in ${hierarchy}: ` +
+            `[${levels.slice(0, levels.indexOf(dimen))}].`,
+        );
+      }
+      return this.where(this._getPathFilters(levels, parentPath)).getDimensionValues(dimen);
+    }
+    if (this.lookupDimens.has(dimen)) {
+      const lookupFn = this._getLookupFn(dimen);
+      const sourceValues = this.getDimensionValues(this.lookupDimens.get(dimen).dimen);
+      return Array.from(new Set(sourceValues.map(lookupFn)));
+    }
+    this.assertValidDimensions([dimen]);
+    // Dictionaries only contain the values used by cells, so the cells needn't be scanned.
+    return this.dictionaries[this.dimens.indexOf(dimen)].values.slice(0);
+  }
+
+  // Returns an array of objects representing the rows in this DataCube. Each returned object has a
+  // property for every dimension, metric and derived metric in this DataCube.
+  // - options: optional.
+  //   - sort: an array of sort keys; see getSortedRowIndices. The sorting is done on the underlying
+  //     arrays, and row objects are only created for the requested page of rows.
+  //   - offset: the number of rows to skip.
+  //   - limit: the maximum number of rows to return.
+  getRows(_options) {
+    // The code for this function is generated at runtime by genGetRows, based on the number and
+    // names of the dimens and metrics in this DataCube. This provides a substantial speedup.
+  }
+
+  // Generates the code for the `getRows` function.
+  genGetRows() {
+    // Generate an assignment statement of the form:
+    // let row = {
+    //   "dimen-name1": this.dictionaries[0].values[this.dimenColumns[0].get(rowIndex)],
+    //   ...
+    // }
+    // NOTE(philc): This is 2x faster than building up an object by iterating over this.dimens and
+    // this.metrics. I think the main improvement comes from creating the object once, rather than
+    // incrementally, so that its shape is fixed.
+    const assignDimens = this.dimens.map(
+      (d, i) => `"${d}": this.dictionaries[${i}].values[this.dimenColumns[${i}].get(rowIndex)]`,
+    );
+    const assignMetrics = this.metrics.map(
+      (m, i) => `"${m}": this.metricsData[${i}].get(rowIndex)`,
+    );
+    const assignSketchOutputs = this.sketchOutputs.map((o, i) =>
+      `"${o.name}": sketchOutputs[${i}].get(sketchMetrics[${o.sketchIndex}].data, rowIndex)`
+    );
+    // Derived metrics are initialized to 0 in the object literal so that the row's shape stays
+    // fixed when they're assigned below.
+    const assignDerivedMetrics = this.derivedMetrics.map((m) => `"${m}": 0`);
+    const assignStatement = "let row = { " +
+      assignDimens.concat(assignMetrics, assignSketchOutputs, assignDerivedMetrics).join(",\n") +
+      " }";
+    // Statements of the form: row["derived-name1"] = derivedMetricFns[0](row);
+    const derivedStatements = this.derivedMetrics.map(
+      (m, i) => `row["${m}"] = derivedMetricFns[${i}](row);`,
+    ).join("\n");
+
+    const template = function (options) {
+      const count = this.count();
+      const derivedMetricFns = this.derivedMetricFns;
+      const sketchMetrics = this.sketchMetrics;
+      const sketchOutputs = this.sketchOutputs;
+      // When sorting, the rows are read in the order of sortedRowIndices rather than in storage
+      // order.
+      const sortedRowIndices = options?.sort ? this.getSortedRowIndices(options.sort) : null;
+      const start = Math.min(options?.offset || 0, count);
+      const end = options?.limit == null ? count : Math.min(start + options.limit, count);
+
+      const rows = [];
+      for (let i = start; i < end; i++) {
+        const rowIndex = sortedRowIndices ? sortedRowIndices[i] : i;
+        ASSIGN_STATEMENT;
+        DERIVED_STATEMENTS;
+        rows.push(row);
+      }
+      return rows;
+    };
+
+    const code = template
+      .toString()
+      .replace("ASSIGN_STATEMENT", assignStatement)
+      .replace("DERIVED_STATEMENTS", derivedStatements);
+    return new Function(`return ${code}`)();
+  }
+
+  // Validates `dimenFilters` and compiles it into a tree of filter nodes, which is used to
+  // evaluate the filter against this DataCube's rows. See `where` for the format of dimenFilters.
+  // Each node is one of:
+  // - { type: "and" | "or", children: [node, ...] }
+  // - { type: "not", child: node }
+  // - { type: "dimen", dimen, offset, valueFilter }
+  compileFilter(dimenFilters) {
+    const children = [];
+    for (const [key, filter] of Object.entries(dimenFilters)) {
+      if (key == "$and" || key == "$or") {
+        if (!Array.isArray(filter)) {
+          throw new Error(`The value of ${key} should be an array of filters.`);
+        }
+        children.push({
+          type: key.slice(1),
+          children: filter.map((f) => this.compileFilter(f)),
+        });
+      } else if (key == "$not") {
+        children.push({ type: "not", child: this.compileFilter(filter) });
+      } else if (this.lookupDimens.has(key)) {
+        if (filter == null) continue;
+        // Filters on lookup dimensions are evaluated on the values of the underlying dimension.
+        const lookupFn = this._getLookupFn(key);
+        const valueFilter = makeDimenValueFilter(filter);
+        const dimen = this.lookupDimens.get(key).dimen;
+        children.push({
+          type: "dimen",
+          dimen,
+          offset: this.dimens.indexOf(dimen),
+          valueFilter: (value) => valueFilter(lookupFn(value)),
+        });
+      } else {
+        this.assertValidDimensions([key], true);
+        if (filter == null) continue;
+        children.push({
+          type: "dimen",
+          dimen: key,
+          offset: this.dimens.indexOf(key),
+          valueFilter: makeDimenValueFilter(
+            filter,
+            this.timeDimens.includes(key) ? toTimestamp : null,
+          ),
+        });
+      }
+    }
+    return { type: "and", children };
+  }
+
+  // Returns true if `dimenKey` is included by `dimenFilters`.
+  // - dimenKey: the row index of the cell.
+  // - dimenFilters: see `where`.
+  includeRow(dimenKey, dimenFilters) {
+    const includeNode = (node) => {
+      switch (node.type) {
+        case "and":
+          return node.children.every(includeNode);
+        case "or":
+          return node.children.some(includeNode);
+        case "not":
+          return !includeNode(node.child);
+        case "dimen": {
+          const dimenIndex = this.dimenColumns[node.offset].get(dimenKey);
+          return node.valueFilter(this.dictionaries[node.offset].values[dimenIndex]);
+        }
+      }
+    };
+    return includeNode(this.compileFilter(dimenFilters));
+  }
+
+  // Returns a Bitmap of the rows which are included by `dimenFilters`.
+  // Filters on indexed dimens are answered by combining the bitmaps of the matching dimension
+  // values. Filters on other dimens are answered by scanning the rows. In both cases, each filter
+  // is evaluated at most once per distinct dimension value, rather than once per row.
+  getFilteredRows(dimenFilters) {
+    return this._getFilteredRows(this.compileFilter(dimenFilters), null);
+  }
+
+  // Returns a Bitmap of the rows in `candidates` which are included by the compiled filter `node`.
+  // - candidates: a Bitmap of the rows to consider, or null to consider every row.
+  _getFilteredRows(node, candidates) {
+    const count = this.count();
+    switch (node.type) {
+      case "or": {
+        const result = new Bitmap(count);
+        for (const child of node.children) {
+          result.or(this._getFilteredRows(child, candidates));
+        }
+        return result;
+      }
+      case "not": {
+        const result = this._getFilteredRows(node.child, candidates).not(count);
+        return candidates ? result.and(candidates) : result;
+      }
+      case "dimen":
+        return this._getFilteredRows({ type: "and", children: [node] }, candidates);
+    }
+
+    // For "and" nodes, narrow down the candidates using the cheapest filters first: the filters
+    // answered by an index, then nested filters, and finally, by scanning the remaining rows.
+    let result = candidates;
+    const scanNodes = [];
+    for (const child of node.children) {
+      if (child.type == "dimen" && this.indexes.has(child.dimen)) {
+        const bitmap = new Bitmap(count);
+        const dictionary = this.dictionaries[child.offset];
+        for (const [dimenIndex, rowsBitmap] of this.indexes.get(child.dimen)) {
+          if (child.valueFilter(dictionary.values[dimenIndex])) bitmap.or(rowsBitmap);
+        }
+        result = result ? bitmap.and(result) : bitmap;
+      } else if (child.type == "dimen") {
+        scanNodes.push(child);
+      }
+    }
+    for (const child of node.children) {
+      if (child.type != "dimen") result = this._getFilteredRows(child, result);
+    }
+
+    if (scanNodes.length == 0) {
+      return result || Bitmap.full(count);
+    }
+
+    // The result of each filter for each dimension index. 0 means the filter hasn't been evaluated
+    // for that dimension index yet, 1 means excluded, and 2 means included.
+    const caches = scanNodes.map((n) => new Uint8Array(this.dictionaries[n.offset].length));
+    const columns = scanNodes.map((n) => this.dimenColumns[n.offset]);
+    const dictionaryValues = scanNodes.map((n) => this.dictionaries[n.offset].values);
+    const includeRow = (rowIndex) => {
+      for (let i = 0; i < scanNodes.length; i++) {
+        const cache = caches[i];
+        const dimenIndex = columns[i].get(rowIndex);
+        if (cache[dimenIndex] == 0) {
+          cache[dimenIndex] = scanNodes[i].valueFilter(dictionaryValues[i][dimenIndex]) ? 2 : 1;
+        }
+        if (cache[dimenIndex] == 1) return false;
+      }
+      return true;
+    };
+    const scanResult = new Bitmap(count);
+    if (result) {
+      result.forEach((rowIndex) => {
+        if (includeRow(rowIndex)) scanResult.add(rowIndex);
+      });
+    } else {
+      for (let rowIndex = 0; rowIndex < count; rowIndex++) {
+        if (includeRow(rowIndex)) scanResult.add(rowIndex);
+      }
+    }
+    return scanResult;
+  }
+
+  // Returns a new dataview which excludes rows which do not match `dimenFilters`.
+  // - dimenFilters: a map of dimenName => filter. A row must match every filter in the map. A
+  //   filter can be:
+  //   - a primitive value, which the dimension value must equal.
+  //   - an array of values, which the dimension value must be one of.
+  //   - a function, which takes a dimension value and returns true to include it.
+  //   - an object of operators, which the dimension value must satisfy, e.g. `{ gte: 10, lt: 20 }`.
+  //     The operators are: eq, ne, in, notIn, gt, gte, lt, lte, prefix, regex, isNull (true or
+  //     false), and not (which negates a nested filter).
+  //   The map can also contain these keys, to combine filters across dimensions:
+  //   - $or: an array of dimenFilters maps, at least one of which must match.
+  //   - $and: an array of dimenFilters maps, all of which must match.
+  //   - $not: a dimenFilters map which must not match.
+  //   E.g. `{ $or: [{ country: "US" }, { category: "fiction" }], date: { gte: "2023-01-01" } }`.
+  //   Filters which don't use functions or RegExp objects can be serialized as JSON, e.g. to save
+  //   them in a URL.
+  //   For time dimensions, values are compared chronologically, so a date range can be given as
+  //   e.g. `{ date: { gte: "2023-01-01", lt: "2023-02-01" } }` regardless of whether the values are
+  //   Dates, timestamps or strings.
+  //   dimenName can also be a lookup dimension; see addAttributeTable.
+  where(dimenFilters) {
+    if (Object.keys(dimenFilters).length == 0) return this;
+    return this._cacheQuery({ where: dimenFilters }, () => this._where(dimenFilters));
+  }
+
+  _where(dimenFilters) {
+    const node = this.compileFilter(dimenFilters);
+    const dc = this.copyRows(this._getFilteredRows(node, null));
+    // Filter the materializations which have the filtered dimens, so that selects on the new
+    // DataCube can use them.
+    const filteredDimens = [];
+    const addDimens = (node) => {
+      if (node.type == "dimen") filteredDimens.push(node.dimen);
+      node.children?.forEach(addDimens);
+      if (node.child) addDimens(node.child);
+    };
+    addDimens(node);
+    for (const m of this.materializations) {
+      if (filteredDimens.every((d) => m.dimens.includes(d))) {
+        dc._addMaterialization(m._where(dimenFilters));
+      }
+    }
+    // Used by live views to find the source of this DataCube.
+    dc._lineage = { source: this, where: dimenFilters };
+    return dc;
+  }
+
+  // Returns a new DataCube containing the rows in `rowIndices`, in that order. Its dictionaries
+  // only contain the dimension values of those rows.
+  // - rowIndices: an array of row indices, or a Bitmap.
+  copyRows(rowIndices) {
+    const dest = new DataCube(this.dimens, this.metrics, this.options);
+    // For each dimension, a map of this DataCube's dimension indices to the dest's, which is filled
+    // in as values are encountered.
+    const destDimenIndices = this.dictionaries.map((d) => new Int32Array(d.length).fill(-1));
+    let destRowIndex = 0;
+    rowIndices.forEach((rowIndex) => {
+      for (let d = 0; d < this.dimens.length; d++) {
+        const dimenIndex = this.dimenColumns[d].get(rowIndex);
+        let destDimenIndex = destDimenIndices[d][dimenIndex];
+        if (destDimenIndex == -1) {
+          destDimenIndex = dest.getDimenIndex(d, this.dictionaries[d].values[dimenIndex]);
+          destDimenIndices[d][dimenIndex] = destDimenIndex;
+        }
+        dest.dimenColumns[d].set(destRowIndex, destDimenIndex);
+      }
+
+      for (let m = 0; m < this.metrics.length; m++) {
+        dest.metricsData[m].set(destRowIndex, this.metricsData[m].get(rowIndex));
+      }
+      for (const [i, sketchMetric] of this.sketchMetrics.entries()) {
+        dest.sketchMetrics[i].data.merge(destRowIndex, sketchMetric.data, rowIndex);
+      }
+      destRowIndex++;
+    });
+    dest.rebuildIndexes();
+    return dest;
+  }
+
+  // Returns a new DataCube which combines the cells of this DataCube and `other`. See `merge`.
+  merge(other) {
+    return merge([this, other]);
+  }
+
+  // Adds the cells of DataCube `src` to this DataCube, combining them with existing cells which
+  // have the same dimension values. The cells are copied directly, by remapping `src`'s dictionary
+  // indices to this DataCube's, rather than by going through getRows and addRow.
+  _mergeCells(src) {
+    const dimenOffsets = this.dimens.map((d) => src.dimens.indexOf(d));
+    // For each dimension, a map of src's dimension indices => this DataCube's dimension indices.
+    const dimenIndexMaps = this.dimens.map((_, i) =>
+      src.dictionaries[dimenOffsets[i]].values.map((value) => this.getDimenIndex(i, value))
+    );
+    const metricOffsets = this.metrics.map((m) => src.metrics.indexOf(m));
+    const indices = new Array(this.dimens.length);
+    for (let srcRowIndex = 0; srcRowIndex < src.count(); srcRowIndex++) {
+      for (let i = 0; i < indices.length; i++) {
+        indices[i] = dimenIndexMaps[i][src.dimenColumns[dimenOffsets[i]].get(srcRowIndex)];
+      }
+      const values = metricOffsets.map((m) => src.metricsData[m].get(srcRowIndex));
+      const rowIndex = this._mergeIntoCell(indices, values);
+      for (const [i, sketchMetric] of this.sketchMetrics.entries()) {
+        sketchMetric.data.merge(rowIndex, src.sketchMetrics[i].data, srcRowIndex);
+      }
+    }
+  }
+
+  // Returns an array, parallel to the rows of this DataCube, of the values of `metric`, which can
+  // be a metric or a derived metric.
+  getMetricValues(metric) {
+    const count = this.count();
+    const m = this.metrics.indexOf(metric);
+    if (m >= 0) {
+      const values = new Array(count);
+      for (let rowIndex = 0; rowIndex < count; rowIndex++) {
+        values[rowIndex] = this.metricsData[m].get(rowIndex);
+      }
+      return values;
+    }
+    const sketchOutput = this.sketchOutputs.find((o) => o.name == metric);
+    if (sketchOutput) {
+      const data = this.sketchMetrics[sketchOutput.sketchIndex].data;
+      return Array.from({ length: count }, (_, rowIndex) => sketchOutput.get(data, rowIndex));
+    }
+    if (this.derivedMetrics.includes(metric)) {
+      return this.getRows().map((row) => row[metric]);
+    }
+    const allMetrics = this.metrics.concat(
+      this.sketchOutputs.map((o) => o.name),
+      this.derivedMetrics,
+    );
+    throw new Error(
+      `${metric} is not a metric or derived metric of the datacube. ` +
+        `The datacube has: [${allMetrics}].`,
+    );
+  }
+
+  // Returns a new DataCube which excludes the cells whose metrics do not match `metricFilters`,
+  // akin to SQL's HAVING clause. The order of the rows is preserved.
+  // - metricFilters: a map of metricName => filter, where metricName can be a metric or a derived
+  //   metric. The filters have the same format as the dimension filters in `where`, e.g.
+  //   `{ revenue: { gt: 1000 } }`. A cell must match every filter in the map.
+  having(metricFilters) {
+    const entries = Object.entries(metricFilters).filter(([_, filter]) => filter != null);
+    const valueFilters = entries.map(([_, filter]) => makeDimenValueFilter(filter));
+    const columns = entries.map(([metric, _]) => this.getMetricValues(metric));
+    const rowIndices = [];
+    for (let rowIndex = 0; rowIndex < this.count(); rowIndex++) {
+      if (valueFilters.every((f, i) => f(columns[i][rowIndex]))) {
+        rowIndices.push(rowIndex);
+      }
+    }
+    return this.copyRows(rowIndices);
+  }
+
+  // Returns a new DataCube containing only the cells whose value of `dimen` is one of the top `n`
+  // values, ranked by the aggregate of `metric` across all cells with that value. The order of the
+  // rows is preserved.
+  // - metric: a metric or a derived metric.
+  // - options: optional.
+  //   - ascending: rank the values from smallest to largest, to get the bottom `n`.
+  topN(dimen, metric, n, options) {
+    this.assertValidDimensions([dimen]);
+    const ranked = this.select([dimen])
+      .orderBy([{ key: metric, descending: !options?.ascending }]);
+    const dimenOffset = this.dimens.indexOf(dimen);
+    // The top values are mapped to this DataCube's dimension indices, so that rows can be compared
+    // by index.
+    const topDimenIndices = new Set(
+      ranked.getRows({ limit: n }).map((row) => this.dictionaries[dimenOffset].indexOf(row[dimen])),
+    );
+    const rowIndices = [];
+    for (let rowIndex = 0; rowIndex < this.count(); rowIndex++) {
+      if (topDimenIndices.has(this.dimenColumns[dimenOffset].get(rowIndex))) {
+        rowIndices.push(rowIndex);
+      }
+    }
+    return this.copyRows(rowIndices);
+  }
+
+  // Returns an array of this DataCube's row indices, sorted by `sortKeys`. The sort is stable.
+  // - sortKeys: an array of sort keys, in order of precedence. Each is either the name of a
+  //   dimension, metric or derived metric, which is sorted in ascending order, or an object of the
+  //   form `{ key: name, descending: true }`.
+  getSortedRowIndices(sortKeys) {
+    const comparators = sortKeys.map((sortKey) => {
+      const { key, descending } = typeof sortKey == "string" ? { key: sortKey } : sortKey;
+      const direction = descending ? -1 : 1;
+      if (this.dimens.includes(key)) {
+        // Rank the dimension's distinct values once, so rows can be compared by integer rank.
+        const dimenOffset = this.dimens.indexOf(key);
+        const dictionaryValues = this.dictionaries[dimenOffset].values;
+        const distinctIndices = Array.from(dictionaryValues.keys());
+        distinctIndices.sort((a, b) => compareValues(dictionaryValues[a], dictionaryValues[b]));
+        const ranks = new Map(distinctIndices.map((dimenIndex, rank) => [dimenIndex, rank]));
+        const rowRanks = this.getDimenIndices(dimenOffset).map((i) => ranks.get(i));
+        return (a, b) => direction * (rowRanks[a] - rowRanks[b]);
+      }
+      const values = this.getMetricValues(key);
+      return (a, b) => direction * compareValues(values[a], values[b]);
+    });
+    const rowIndices = Array.from({ length: this.count() }, (_, i) => i);
+    rowIndices.sort((a, b) => {
+      for (const comparator of comparators) {
+        const result = comparator(a, b);
+        if (result != 0) return result;
+      }
+      return a - b;
+    });
+    return rowIndices;
+  }
+
+  // Returns an array, parallel to the rows of this DataCube, of the dimension indices (indices into
+  // the dimension's dictionary) of the dimension at `dimenOffset` in this.dimens.
+  getDimenIndices(dimenOffset) {
+    const count = this.count();
+    const column = this.dimenColumns[dimenOffset];
+    const dimenIndices = new Array(count);
+    for (let rowIndex = 0; rowIndex < count; rowIndex++) {
+      dimenIndices[rowIndex] = column.get(rowIndex);
+    }
+    return dimenIndices;
+  }
+
+  // Returns a new DataCube whose rows are sorted by `sortKeys`. See getSortedRowIndices.
+  orderBy(sortKeys) {
+    return this.copyRows(this.getSortedRowIndices(sortKeys));
+  }
+
+  count() {
+    if (this.metrics.length > 0) return this.metricsData[0].length;
+    if (this.dimens.length > 0) return this.dimenColumns[0].length;
+    return this.sketchMetrics.length > 0 ? this.sketchMetrics[0].data.length : 0;
+  }
+
+  // Returns the metric map containing the aggregate of each metric over all cells, e.g. the sum of
+  // every "sum" metric and the maximum of every "max" metric, plus every derived metric computed
+  // from those aggregates.
+  totals() {
+    return this._cacheQuery({ totals: true }, () => this._totals());
+  }
+
+  _totals() {
+    const materialization = this._findMaterialization([]);
+    if (materialization) return materialization.totals();
+    const totals = this.aggregators.map((a, m) =>
+      a.initial == null ? null : this._coerceMetricValue[m](a.initial)
+    );
+    for (let rowIndex = 0; rowIndex < this.count(); rowIndex++) {
+      for (let m = 0; m < this.metrics.length; m++) {
+        const value = this.metricsData[m].get(rowIndex);
+        totals[m] = rowIndex == 0 ? value : this.aggregators[m].merge(totals[m], value);
+      }
+    }
+
+    const resultMap = {};
+    for (let i = 0; i < totals.length; i++) {
+      resultMap[this.metrics[i]] = totals[i];
+    }
+    // Each sketch metric's total is computed from the union of the sketches of every cell.
+    const unions = this.sketchMetrics.map((sketchMetric) => {
+      const union = sketchMetric.data.createEmpty();
+      for (let rowIndex = 0; rowIndex < this.count(); rowIndex++) {
+        union.merge(0, sketchMetric.data, rowIndex);
+      }
+      return union;
+    });
+    for (const output of this.sketchOutputs) {
+      resultMap[output.name] = output.get(unions[output.sketchIndex], 0);
+    }
+    for (let i = 0; i < this.derivedMetrics.length; i++) {
+      resultMap[this.derivedMetrics[i]] = this.derivedMetricFns[i](resultMap);
+    }
+    return resultMap;
+  }
+
+  // Creates a new DataCube where `dimen` is removed from the DataCube's dimensions, and instead,
+  // its values are added as separate columns.
+  // E.g. Let dc be a DataCube with dimensions [country, customer] and metrics [spend].
+  // dc.explodeDimenIntoColumns(country, null) produces a DataCube with dimens [customer] and
   // metrics [us-spend, jp-spend, ...].
   // This is commonly useful when analyzing AB tests, where you want each row to include metrics for
   // both the control and the experiment group of the AB test.
@@ -516,67 +2659,570 @@ export class DataCube {
   //   of the new metric. When null, the new metric names will be "dimenValue-metric".
   explodeDimenIntoColumns(dimen, keyNameFn) {
     this.assertValidDimensions([dimen]);
-    const rows = this.getRows();
+    const reducedDimens = Array.from(this.dimens);
+    reducedDimens.splice(this.dimens.indexOf(dimen), 1);
     const metricNames = [];
-    for (const row of rows) {
+    // The new metrics use the aggregators of the metrics they were created from.
+    const aggregators = {};
+    const metricTypes = {};
+    const isZeroFilled = (aggregator) => aggregator == "sum" || aggregator == "count";
+    // Rows which share the same values for `reducedDimens` are combined into one, so that each new
+    // metric is only set by the single cell which has the corresponding `dimen` value.
+    const keyToRow = new Map();
+    for (const row of this.getRows()) {
+      const key = JSON.stringify(reducedDimens.map((d) => row[d]));
+      let destRow = keyToRow.get(key);
+      if (destRow == null) {
+        destRow = {};
+        for (const d of reducedDimens) destRow[d] = row[d];
+        keyToRow.set(key, destRow);
+      }
       const dimenValue = row[dimen];
       for (const metric of this.metrics) {
         const newMetric = keyNameFn ? keyNameFn(dimenValue, metric) : `${dimenValue}-${metric}`;
-        if (metricNames.indexOf(newMetric) == -1) metricNames.push(newMetric);
-        row[newMetric] = row[metric];
-        // We don't delete `metric` (now unused) from the row, because doing so is costly and
-        // unnecessary.
+        if (metricNames.indexOf(newMetric) == -1) {
+          metricNames.push(newMetric);
+          const aggregator = this.options.aggregators?.[metric] || "sum";
+          const metricType = this.metricTypes[this.metrics.indexOf(metric)];
+          aggregators[newMetric] = aggregator;
+          // Cells which have no value for a min, max or last metric are set to NaN, which only the
+          // float types can store.
+          metricTypes[newMetric] = isZeroFilled(aggregator) || metricType.startsWith("float")
+            ? metricType
+            : "float64";
+        }
+        destRow[newMetric] = row[metric];
       }
     }
-    const reducedDimens = Array.from(this.dimens);
-    reducedDimens.splice(this.dimens.indexOf(dimen), 1);
-    return fromRows(reducedDimens, Array.from(metricNames), rows);
+    // Derived metrics are not carried over, because the metrics they refer to have been renamed.
+    const destDc = new DataCube(reducedDimens, metricNames, { aggregators, metricTypes });
+    for (const row of keyToRow.values()) {
+      // Cells which had no value for a metric's `dimen` value get a value of zero for sum and count
+      // metrics. For the other aggregators, there's no value which doesn't change the result of
+      // aggregating the cell, so they get NaN, which min, max and last skip.
+      for (const metric of metricNames) {
+        if (row[metric] == null) row[metric] = isZeroFilled(aggregators[metric]) ? 0 : NaN;
+      }
+      destDc.mergeRow(row);
+    }
+    return destDc;
+  }
+
+  // Returns the cells of this DataCube in the Apache Arrow IPC streaming format, as a Uint8Array,
+  // for use by other Arrow libraries or by fromArrow. To export the result of a query, call this on
+  // the result, e.g. `dc.select(["genre"]).toArrow()`. There's a column for each dimen, metric,
+  // distinct count, quantile and derived metric. Dimensions whose values are strings are written as
+  // dictionary-encoded columns, and dimensions whose values are all numbers or all booleans are
+  // written as Float64 or Bool columns. Dimensions with values of other types are converted to
+  // strings. Metrics keep their metric type, and the other columns are Float64.
+  // - options: optional.
+  //   - batchSize: the maximum number of rows per Arrow record batch. Defaults to 1,000,000.
+  toArrow(options) {
+    const count = this.count();
+    const dimenColumns = this.dimens.map((name, d) => {
+      const dimenIndices = this.getDimenIndices(d);
+      const values = this.dictionaries[d].values;
+      const nonNullValues = values.filter((v) => v != null);
+      const valueType = nonNullValues.length > 0 &&
+          nonNullValues.every((v) => typeof v == typeof nonNullValues[0])
+        ? typeof nonNullValues[0]
+        : "string";
+      if (valueType == "number" || valueType == "boolean") {
+        return {
+          name,
+          type: valueType == "number" ? "float64" : "bool",
+          values: dimenIndices.map((i) => values[i]),
+        };
+      }
+      // Arrow dictionaries can't contain null, so a null value is written as a null index instead.
+      let nonNullCount = 0;
+      const arrowIndices = values.map((value) => value == null ? null : nonNullCount++);
+      return {
+        name,
+        type: "dictionary",
+        indices: dimenIndices.map((i) => arrowIndices[i]),
+        dictionary: nonNullValues.map(String),
+      };
+    });
+    const arrowMetricTypes = {
+      float32: "float32",
+      float64: "float64",
+      int32: "int32",
+      uint32: "uint32",
+      bigint64: "int64",
+    };
+    const metricColumns = this.metrics.map((name, m) => ({
+      name,
+      type: arrowMetricTypes[this.metricTypes[m]],
+      values: this.metricsData[m].slice(0, count),
+    }));
+    const otherColumns = this.sketchOutputs.map((o) => o.name).concat(this.derivedMetrics)
+      .map((name) => ({ name, type: "float64", values: this.getMetricValues(name) }));
+    return encodeArrowIpc(dimenColumns.concat(metricColumns, otherColumns), count, options);
+  }
+
+  // Returns a ReadableStream of the rows of this DataCube as CSV, in UTF-8. Like the other
+  // exporters, toNdjson and toColumnarJson, the rows are read from this DataCube's columns as the
+  // stream is read, so this DataCube shouldn't be modified until the stream is done. To export the
+  // result of a query, call this on the result, e.g. `dc.select(["genre"]).toCsv()`.
+  // - options: optional.
+  //   - columns: the names of the dimens, metrics, distinct counts, quantiles and derived metrics
+  //     to export, in order. Defaults to all of them, in the order of getRows. Derived metrics are
+  //     computed from a row object, so exporting them creates an object per row.
+  //   - sort, offset, limit: which rows to export, and in which order; see getRows.
+  //   - delimiter, header, quote, lineEnding, nullValue, batchSize: see createCsvStream in
+  //     exporters.js.
+  toCsv(options) {
+    return createCsvStream(this._getExportTable(options), options);
+  }
+
+  // Returns a ReadableStream of the rows of this DataCube as newline-delimited JSON, in UTF-8.
+  // BigInt metrics are written as JSON numbers.
+  // - options: optional.
+  //   - columns, sort, offset, limit: see toCsv.
+  //   - batchSize: see createNdjsonStream in exporters.js.
+  toNdjson(options) {
+    return createNdjsonStream(this._getExportTable(options), options);
+  }
+
+  // Returns a ReadableStream of this DataCube as compact columnar JSON, in UTF-8:
+  // `{ dimens, metrics, columns }`, where `columns` is a map of column name => array of values.
+  // `metrics` includes the exported distinct counts, quantiles and derived metrics.
+  // - options: optional.
+  //   - columns, sort, offset, limit: see toCsv.
+  //   - dictionaryEncode, batchSize: see createColumnarJsonStream in exporters.js.
+  toColumnarJson(options) {
+    return createColumnarJsonStream(this._getExportTable(options), options);
+  }
+
+  // Returns the table of rows and columns which the exporters read. See exporters.js.
+  // - options: see toCsv.
+  _getExportTable(options) {
+    const allColumns = this.dimens.concat(
+      this.metrics,
+      this.sketchOutputs.map((o) => o.name),
+      this.derivedMetrics,
+    );
+    const names = options?.columns || allColumns;
+    const unknownColumns = names.filter((name) => !allColumns.includes(name));
+    if (unknownColumns.length > 0) {
+      throw new Error(
+        `These columns are not part of the datacube: [${unknownColumns}]. ` +
+          `The datacube has: [${allColumns}].`,
+      );
+    }
+
+    const count = this.count();
+    const sortedRowIndices = options?.sort ? this.getSortedRowIndices(options.sort) : null;
+    const start = Math.min(options?.offset || 0, count);
+    const end = options?.limit == null ? count : Math.min(start + options.limit, count);
+    // Returns the row index of the ith exported row.
+    const toRowIndex = sortedRowIndices ? (i) => sortedRowIndices[start + i] : (i) => start + i;
+
+    // The row object of the last row whose derived metrics were requested, and its row index.
+    let row = null;
+    let rowIndexOfRow = null;
+    const columns = names.map((name) => {
+      const d = this.dimens.indexOf(name);
+      if (d >= 0) {
+        const dictionary = this.dictionaries[d].values;
+        const column = this.dimenColumns[d];
+        return {
+          name,
+          isDimen: true,
+          dictionary,
+          get: (i) => dictionary[column.get(toRowIndex(i))],
+          getIndex: (i) => column.get(toRowIndex(i)),
+        };
+      }
+      const m = this.metrics.indexOf(name);
+      if (m >= 0) {
+        const column = this.metricsData[m];
+        return { name, isDimen: false, get: (i) => column.get(toRowIndex(i)) };
+      }
+      const sketchOutput = this.sketchOutputs.find((o) => o.name == name);
+      if (sketchOutput) {
+        const data = this.sketchMetrics[sketchOutput.sketchIndex].data;
+        return { name, isDimen: false, get: (i) => sketchOutput.get(data, toRowIndex(i)) };
+      }
+      const get = (i) => {
+        const rowIndex = toRowIndex(i);
+        if (rowIndex != rowIndexOfRow) {
+          row = this.getRows({ offset: rowIndex, limit: 1 })[0];
+          rowIndexOfRow = rowIndex;
+        }
+        return row[name];
+      };
+      return { name, isDimen: false, get };
+    });
+    return { columns, length: end - start };
   }
 
-  async writeToFile(pathPrefix, options) {
-    const jsonStruct = {
+  // Returns the description of this datacube which is written to files by writeToFile, without its
+  // data.
+  _getManifest() {
+    return {
       dimens: this.dimens,
       metrics: this.metrics,
       count: this.count(),
-      dimenIndexToValue: this.dimenIndexToValue,
+      aggregators: this.options.aggregators,
+      metricTypes: Object.fromEntries(this.metrics.map((m, i) => [m, this.metricTypes[i]])),
+      distinctCounts: this.options.distinctCounts,
+      quantiles: this.options.quantiles,
+      indexedDimens: this.options.indexedDimens,
+      timeDimens: this.options.timeDimens,
+      attributeTables: this.options.attributeTables,
+      hierarchies: this.options.hierarchies,
+      // The dictionary of each dimension, and the type used to store its dimension indices.
+      dictionaries: this.dictionaries.map((dictionary) => dictionary.values),
+      dimenTypes: this.dimenColumns.map((column) =>
+        Object.keys(DIMEN_TYPES).find((type) => DIMEN_TYPES[type] == column.arrayType)
+      ),
     };
+  }
 
-    function makeFileWriter(file) {
-      if (options?.gzip) {
-        const stream = new CompressionStream("gzip");
-        stream.readable.pipeTo(file.writable);
-        return stream.writable.getWriter();
-      } else {
-        return file.writable.getWriter();
+  // Returns the manifest of this datacube in a single file, and appends each of its columns to
+  // `chunks`. The manifest refers to columns by their index in `chunks`.
+  _getSingleFileManifest(chunks) {
+    const count = this.count();
+    const addChunk = (bytes) => chunks.push(bytes) - 1;
+    const addColumn = (column) => {
+      const array = column.toTypedArray(count);
+      return addChunk(new Uint8Array(array.buffer, array.byteOffset, array.byteLength));
+    };
+    return {
+      ...this._getManifest(),
+      chunks: {
+        dimens: this.dimenColumns.map(addColumn),
+        metrics: Object.fromEntries(
+          this.metrics.map((m, i) => [m, addColumn(this.metricsData[i])]),
+        ),
+        sketches: Object.fromEntries(
+          this.sketchMetrics.map((s) => [s.name, addChunk(s.data.toBytes())]),
+        ),
+      },
+      materializations: this.materializations.map((m) => m._getSingleFileManifest(chunks)),
+    };
+  }
+
+  // Writes this datacube, and its materializations, to a set of files whose names start with
+  // `pathPrefix`, e.g. "tmp/dc.json" and "tmp/dc.metrics.bin".
+  // - options: optional.
+  //   - gzip: whether to compress the files with gzip.
+  //   - singleFile: whether to write a single file, named e.g. "tmp/dc.datacube", rather than a set
+  //     of files. Single files have a format version and checksums, and can be read partially, so
+  //     that readFromUrl only fetches the metrics it needs. With `gzip`, each column is compressed
+  //     separately.
+  writeToFile(pathPrefix, options) {
+    return this.writeToStorage(denoFileStorage(), pathPrefix, options);
+  }
+
+  // Writes this datacube to a storage adapter (see storage.js), e.g. nodeFileStorage() in Node, or
+  // opfsStorage() or indexedDbStorage() in a browser. readFromStorage reads it back.
+  // - name: the name of the datacube. The names of the files it's written to start with it.
+  // - options: optional; see writeToFile.
+  writeToStorage(storage, name, options) {
+    return this.serialize((part) => storage.createWritable(`${name}.${part}`), options);
+  }
+
+  // Writes this datacube, and its materializations, to streams, which `deserialize` reads.
+  // - writableStreams: a function which takes the name of a part of the datacube, e.g. "json" or
+  //   "metrics.bin", and returns a WritableStream of bytes for it, or a promise of one. The parts
+  //   are the files written by writeToFile, and they're written one at a time.
+  // - options: optional; see writeToFile.
+  async serialize(writableStreams, options) {
+    // Writes `chunks`, a list of Uint8Arrays, to the stream of the part named `name`.
+    const writePart = async (name, chunks, gzip) => {
+      const stream = await writableStreams(gzip ? `${name}.gz` : name);
+      const writeChunks = async (writer) => {
+        for (const chunk of chunks) {
+          await writer.write(chunk);
+        }
+        await writer.close();
+      };
+      if (!gzip) {
+        await writeChunks(stream.getWriter());
+        return;
       }
+      const compression = new CompressionStream("gzip");
+      await Promise.all([
+        compression.readable.pipeTo(stream),
+        writeChunks(compression.writable.getWriter()),
+      ]);
+    };
+
+    if (options?.singleFile) {
+      const chunks = [];
+      const manifest = this._getSingleFileManifest(chunks);
+      const compression = options.gzip ? "gzip" : null;
+      await writePart("datacube", await encodeContainer(manifest, chunks, { compression }), false);
+      return;
     }
 
-    const extension = options?.gzip ? ".gz" : "";
-    const filename = `${pathPrefix}.json${extension}`;
-    const writer = makeFileWriter(await Deno.create(filename));
-    writer.write(new TextEncoder().encode(JSON.stringify(jsonStruct, null, 2)));
-    writer.close();
+    const gzip = options?.gzip;
+    const jsonStruct = this._getManifest();
+    const sketchBytes = this.sketchMetrics.map((sketchMetric) => sketchMetric.data.toBytes());
+    if (sketchBytes.length > 0) {
+      jsonStruct.sketchByteLengths = sketchBytes.map((bytes) => bytes.length);
+    }
+    if (this.materializations.length > 0) {
+      jsonStruct.materializations = this.materializations.map((m) => m.dimens);
+    }
+    await writePart("json", [new TextEncoder().encode(JSON.stringify(jsonStruct, null, 2))], gzip);
 
-    const writePagedArray = async (fileName, pagedArray) => {
-      const file = await Deno.create(fileName);
-      const writer = makeFileWriter(file);
-      for (const [pIndex, page] of pagedArray.pages.entries()) {
-        let chunk;
-        if ((pIndex + 1) * page.length < pagedArray.length) {
-          chunk = page;
-        } else {
-          chunk = page.slice(0, pagedArray.length - (pIndex * page.length));
-        }
-        // NOTE(philc): I believe Deno.write should work with a Uint32Array and other typed arrays,
-        // but it doesn't at the time of writing. It fails with "expected typed ArrayBufferView". So
-        // first we convert our typed array to a Uint8Array.
-        await writer.write(new Uint8Array(chunk.buffer));
+    // Returns the bytes of the given PagedArrays, one after the other, as a list of chunks.
+    const getPagedArrayChunks = (pagedArrays) =>
+      pagedArrays.flatMap((pagedArray) =>
+        pagedArray.pages.map((page, pIndex) => {
+          const length = Math.min(
+            page.length,
+            pagedArray.length - pagedArray.getPageOffset(pIndex),
+          );
+          // NOTE(philc): I believe Deno.write should work with a Uint32Array and other typed
+          // arrays, but it doesn't at the time of writing. It fails with "expected typed
+          // ArrayBufferView". So first we convert our typed array to a Uint8Array.
+          const byteLength = Math.max(length, 0) * page.BYTES_PER_ELEMENT;
+          return new Uint8Array(page.buffer, page.byteOffset, byteLength);
+        })
+      );
+    // The dimens are written one column per dimension, since each dimension can have a different
+    // type.
+    await writePart("dimens.bin", getPagedArrayChunks(this.dimenColumns), gzip);
+    // The metrics are written one column per metric, since each metric can have a different type.
+    await writePart("metrics.bin", getPagedArrayChunks(this.metricsData), gzip);
+    if (sketchBytes.length > 0) {
+      await writePart("sketches.bin", sketchBytes, gzip);
+    }
+    // Each materialization is written as a datacube of its own.
+    for (const [i, materialization] of this.materializations.entries()) {
+      await materialization.serialize(
+        (part) => writableStreams(`materialized${i}.${part}`),
+        options,
+      );
+    }
+  }
+
+  // Returns a new DataCube where the values of the time dimension `dimen` are replaced with the
+  // start of the period which contains them, and the cells within each period are combined. The new
+  // values are date strings of the form "YYYY-MM-DD", e.g. "2023-01-02" for the week of 2023-01-05.
+  // - granularity: one of "day", "week", "month", "quarter" or "year".
+  // - options: optional.
+  //   - timeZone: the IANA time zone used to determine the date of Date and timestamp values.
+  //     Defaults to "UTC". Date strings without a time, like "2023-01-05", are not affected.
+  //   - weekStart: the day which weeks start on, from 0 (Sunday) to 6. Defaults to 1 (Monday).
+  rollupTime(dimen, granularity, options) {
+    this.assertValidDimensions([dimen]);
+    if (!this.timeDimens.includes(dimen)) {
+      throw new Error(
+        `${dimen} is not a time dimension. The time dimensions are: [${this.timeDimens}].`,
+      );
+    }
+    if (!TIME_GRANULARITIES.includes(granularity)) {
+      throw new Error(
+        `Unknown time granularity "${granularity}". Valid granularities: [${TIME_GRANULARITIES}].`,
+      );
+    }
+    return this.rollUp(this.dimens, {
+      [dimen]: (value) => truncateTime(dimen, value, granularity, options),
+    });
+  }
+
+  // Returns a new DataCube which is rolled up by rollupTime, and which has a cell for every period
+  // between `start` and `end`, for every combination of the values of the other dimensions. The
+  // cells for periods without data have their metrics set to `fillValues`. The rows are sorted by
+  // `dimen`.
+  // - granularity: see rollupTime.
+  // - options: optional. Also accepts the options of rollupTime.
+  //   - start, end: the first and last periods to include; any date or time within the period can
+  //     be given. Default to the earliest and latest periods which have data. Cells outside of
+  //     this range are kept, but gaps around them aren't filled.
+  //   - fillValues: a map of metricName => the value of the metric in the cells which are added.
+  //     Metrics which are not in the map are set to 0.
+  fillGaps(dimen, granularity, options) {
+    const dc = this.rollupTime(dimen, granularity, options);
+    const dimenOffset = this.dimens.indexOf(dimen);
+    const periods = dc.getDimensionValues(dimen).sort();
+    const truncate = (value) => truncateTime(dimen, value, granularity, options);
+    const start = options?.start != null ? truncate(options.start) : periods[0];
+    const end = options?.end != null ? truncate(options.end) : periods[periods.length - 1];
+    if (start == null || end == null) return dc;
+
+    const allPeriods = [];
+    for (let period = start; period <= end; period = addPeriods(period, granularity, 1)) {
+      allPeriods.push(period);
+    }
+    const fillValues = this.metrics.map((m, i) =>
+      dc._coerceMetricValue[i](options?.fillValues?.[m] ?? 0)
+    );
+
+    // Map of the key of the other dimensions => the dimension indices of a cell which has them.
+    const series = new Map();
+    if (this.dimens.length == 1) series.set("", [0]);
+    for (let rowIndex = 0; rowIndex < dc.count(); rowIndex++) {
+      const indices = dc._getRowDimenIndices(rowIndex);
+      const otherIndices = indices.filter((_, i) => i != dimenOffset);
+      series.set(otherIndices.join(this.separator), indices);
+    }
+    for (const indices of series.values()) {
+      for (const period of allPeriods) {
+        const cellIndices = indices.slice(0);
+        cellIndices[dimenOffset] = dc.getDimenIndex(dimenOffset, period);
+        if (dc._getKeyIndex().find(cellIndices) != null) continue;
+        const rowIndex = dc._appendCell(cellIndices, fillValues);
+        // Create empty sketches for the new cell.
+        for (const sketchMetric of dc.sketchMetrics) sketchMetric.data.add(rowIndex, null);
+      }
+    }
+    return dc.orderBy([dimen]);
+  }
+
+  // Returns a new DataCube which compares each period of the time dimension `dimen` with an earlier
+  // period, e.g. each week with the week before. The DataCube is rolled up by rollupTime, and has
+  // the same dimensions as this one. For each metric M it has:
+  // - M_current: the value of M in the cell.
+  // - M_previous: the value of M in the cell for the earlier period, with the same values of the
+  //   other dimensions, or 0 if there's no such cell.
+  // - M_delta: M_current - M_previous, as a derived metric.
+  // - M_pctChange: the percentage change from M_previous to M_current, as a derived metric. It's
+  //   null when M_previous is 0.
+  // Cells are included for each period which has data in either the current or the earlier
+  // period, up to the latest period which has data. The rows are sorted by `dimen`. Distinct
+  // counts, quantiles and derived metrics are not carried over.
+  // - granularity: see rollupTime.
+  // - options: optional. Also accepts the options of rollupTime.
+  //   - offset: the number of periods between the compared periods. Defaults to 1. For example,
+  //     to compare each month with the same month in the previous year, use a granularity of
+  //     "month" and an offset of 12.
+  periodOverPeriod(dimen, granularity, options) {
+    const src = this.rollupTime(dimen, granularity, options);
+    const offset = options?.offset ?? 1;
+    const dimenOffset = this.dimens.indexOf(dimen);
+
+    const metrics = this.metrics.flatMap((m) => [`${m}_current`, `${m}_previous`]);
+    const aggregators = {};
+    const metricTypes = {};
+    const derivedMetrics = {};
+    for (const [i, m] of this.metrics.entries()) {
+      for (const name of [`${m}_current`, `${m}_previous`]) {
+        aggregators[name] = this.options.aggregators?.[m] || "sum";
+        metricTypes[name] = this.metricTypes[i];
       }
-      writer.close();
+      derivedMetrics[`${m}_delta`] = (row) => row[`${m}_current`] - row[`${m}_previous`];
+      derivedMetrics[`${m}_pctChange`] = (row) => {
+        const previous = row[`${m}_previous`];
+        return previous == 0 ? null : Number(row[`${m}_delta`]) / Number(previous) * 100;
+      };
+    }
+    const dest = new DataCube(this.dimens, metrics, {
+      aggregators,
+      metricTypes,
+      derivedMetrics,
+      indexedDimens: this.options.indexedDimens,
+      timeDimens: this.options.timeDimens,
+      attributeTables: this.options.attributeTables,
+      hierarchies: this.options.hierarchies,
+    });
+
+    const zeros = this.metrics.map((_, i) => src._coerceMetricValue[i](0));
+    const getValues = (rowIndex) =>
+      rowIndex == null ? zeros : src.metricsData.map((column) => column.get(rowIndex));
+    const periodDictionary = src.dictionaries[dimenOffset];
+    // Returns the period which is `periods` periods after the period of src's cell with `indices`.
+    const shiftPeriod = (indices, periods) =>
+      addPeriods(periodDictionary.values[indices[dimenOffset]], granularity, periods);
+    // Returns the row index in src of the cell with `indices`, but with `period`, or null if
+    // there's no such cell.
+    const findRow = (indices, period) => {
+      const periodIndex = periodDictionary.indexOf(period);
+      if (periodIndex == null) return null;
+      const shifted = indices.slice(0);
+      shifted[dimenOffset] = periodIndex;
+      return src._getKeyIndex().find(shifted);
+    };
+    // Appends a cell to dest which has the dimension values of src's cell with `indices`, but with
+    // `period`.
+    const appendCell = (indices, period, values) => {
+      const destIndices = indices.map((dimenIndex, d) =>
+        dest.getDimenIndex(d, d == dimenOffset ? period : src.dictionaries[d].values[dimenIndex])
+      );
+      dest._appendCell(destIndices, values);
     };
 
-    await writePagedArray(`${pathPrefix}.dimens.bin${extension}`, this.dimenKeyToIndices);
-    await writePagedArray(`${pathPrefix}.metrics.bin${extension}`, this.metricsData);
+    const lastPeriod = periodDictionary.values
+      .reduce((max, p) => p > max ? p : max, periodDictionary.values[0]);
+    for (let rowIndex = 0; rowIndex < src.count(); rowIndex++) {
+      const indices = src._getRowDimenIndices(rowIndex);
+      const current = getValues(rowIndex);
+      const previous = getValues(findRow(indices, shiftPeriod(indices, -offset)));
+      appendCell(indices, shiftPeriod(indices, 0), current.flatMap((v, i) => [v, previous[i]]));
+    }
+    // Add the cells whose period has no data, but whose earlier period does.
+    for (let rowIndex = 0; rowIndex < src.count(); rowIndex++) {
+      const indices = src._getRowDimenIndices(rowIndex);
+      const nextPeriod = shiftPeriod(indices, offset);
+      if (nextPeriod > lastPeriod || findRow(indices, nextPeriod) != null) continue;
+      const previous = getValues(rowIndex);
+      appendCell(indices, nextPeriod, zeros.flatMap((v, i) => [v, previous[i]]));
+    }
+    return dest.orderBy([dimen]);
+  }
+
+  // Returns the levels of `hierarchy`, and checks that each is a dimension of this DataCube.
+  _getHierarchyLevels(hierarchy) {
+    const levels = this.options.hierarchies?.[hierarchy];
+    if (levels == null) {
+      throw new Error(
+        `Unknown hierarchy "${hierarchy}". The hierarchies are: ` +
+          `[${Object.keys(this.options.hierarchies || {})}].`,
+      );
+    }
+    this.assertValidDimensions(levels, true);
+    return levels;
+  }
+
+  // Returns the `where` filters which select the cells within `path` of the hierarchy `levels`.
+  _getPathFilters(levels, path) {
+    return Object.fromEntries(path.map((value, i) => [levels[i], { eq: value }]));
+  }
+
+  // Returns a new DataCube for navigating down `hierarchy`: it contains the cells within `path`,
+  // and has the levels of the path and the level below it as dimensions. For example, with the
+  // hierarchy ["country", "region", "city"], `drillDown("geo", ["US"])` returns the regions of the
+  // US, and `drillDown("geo", ["US", "California"])` returns the cities of California, with the
+  // dimensions country, region and city. The new DataCube's `drillPath` is `{ hierarchy, path }`,
+  // and drillUp returns to the level above it.
+  // - hierarchy: the name of a hierarchy in the hierarchies option.
+  // - path: optional; an array of values of the top levels of the hierarchy. Defaults to [], which
+  //   returns the top level.
+  drillDown(hierarchy, path) {
+    const levels = this._getHierarchyLevels(hierarchy);
+    path = path || [];
+    if (path.length >= levels.length) {
+      throw new Error(
+        `Can't drill down into [${path}], because ${hierarchy} has only ${levels.length} levels: ` +
+          `[${levels}].`,
+      );
+    }
+    // The roll-up isn't taken from the query cache, because the DataCube which is returned holds
+    // the drill state, which other callers mustn't share.
+    const dc = this.where(this._getPathFilters(levels, path))
+      ._select(levels.slice(0, path.length + 1));
+    dc.drillPath = { hierarchy, path };
+    dc._drillSource = this;
+    return dc;
+  }
+
+  // Returns the DataCube for the level above this one, for a DataCube returned by drillDown. For
+  // example, after `drillDown("geo", ["US", "California"])`, this returns the regions of the US.
+  drillUp(hierarchy) {
+    if (this.drillPath?.hierarchy != hierarchy) {
+      throw new Error(`This datacube was not created by drilling down into ${hierarchy}.`);
+    }
+    const path = this.drillPath.path;
+    if (path.length == 0) {
+      throw new Error(`This datacube is already at the top level of ${hierarchy}.`);
+    }
+    return this._drillSource.drillDown(hierarchy, path.slice(0, -1));
   }
 
   // Collapses all rows where the value of `dimen` is not one of the top `n`, as determined by
@@ -585,15 +3231,8 @@ export class DataCube {
   aggregateTailValues(dimen, compareFn, n, placeholderValue) {
     const sortedRows = this.select([dimen]).getRows().sort(compareFn).slice(0, n);
     const set = new Set(sortedRows.map((row) => row[dimen]));
-    // This could be made more efficient by operating on the dataview's internal data structures, so
-    // we avoid materializing the row maps.
-    const destDv = new DataCube(this.dimens, this.metrics);
-    for (const row of this.getRows()) {
-      if (!set.has(row[dimen])) {
-        row[dimen] = placeholderValue;
-      }
-      destDv.addRow(row);
-    }
-    return destDv;
+    return this.rollUp(this.dimens, {
+      [dimen]: (value) => set.has(value) ? value : placeholderValue,
+    });
   }
 }
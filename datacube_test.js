@@ -67,6 +67,1222 @@ context("datacube", () => {
     assert.equal([rows[1]], dc.where({ d1: (d1) => d1 == "b" }).getRows());
   });
 
+  context("aggregators", () => {
+    const rows = [
+      { d1: "a", d2: "x", sum: 1, min: 1, max: 1, count: 1, last: 1 },
+      { d1: "a", d2: "y", sum: 3, min: 3, max: 3, count: 3, last: 3 },
+      { d1: "a", d2: "y", sum: 2, min: 2, max: 2, count: 2, last: 2 },
+    ];
+    const metrics = ["sum", "min", "max", "count", "last"];
+    const aggregators = { min: "min", max: "max", count: "count", last: "last" };
+
+    should("aggregate rows added to the same cell", () => {
+      const dc = DataCube.fromRows(["d1", "d2"], metrics, rows, { aggregators });
+      assert.equal(
+        [
+          { d1: "a", d2: "x", sum: 1, min: 1, max: 1, count: 1, last: 1 },
+          { d1: "a", d2: "y", sum: 5, min: 2, max: 3, count: 2, last: 2 },
+        ],
+        dc.getRows(),
+      );
+    });
+
+    should("aggregate cells in select and totals", () => {
+      const dc = DataCube.fromRows(["d1", "d2"], metrics, rows, { aggregators });
+      const expected = { sum: 6, min: 1, max: 3, count: 3, last: 2 };
+      assert.equal([{ d1: "a", ...expected }], dc.select(["d1"]).getRows());
+      assert.equal(expected, dc.totals());
+    });
+
+    should("merge already-aggregated rows in aggregateTailValues", () => {
+      const dc = DataCube.fromRows(["d1", "d2"], metrics, rows, { aggregators });
+      const resultDc = dc.aggregateTailValues("d2", (a, b) => b.sum - a.sum, 0, "tail");
+      assert.equal(
+        [{ d1: "a", d2: "tail", sum: 6, min: 1, max: 3, count: 3, last: 2 }],
+        resultDc.getRows(),
+      );
+    });
+
+    should("carry aggregators through explodeDimenIntoColumns", () => {
+      const dc = DataCube.fromRows(["d1", "d2"], ["count"], rows, {
+        aggregators: { count: "count" },
+      });
+      const exploded = dc.explodeDimenIntoColumns("d2");
+      assert.equal([{ d1: "a", "x-count": 1, "y-count": 2 }], exploded.getRows());
+      assert.equal([{ "x-count": 1, "y-count": 2 }], exploded.select([]).getRows());
+    });
+
+    should("skip missing cells of min metrics in explodeDimenIntoColumns", () => {
+      const dc = DataCube.fromRows(
+        ["d1", "d2"],
+        ["min"],
+        rows.concat([{ d1: "b", d2: "y", min: 5 }]),
+        { aggregators: { min: "min" }, metricTypes: { min: "int32" } },
+      );
+      const exploded = dc.explodeDimenIntoColumns("d2");
+      const [rowA, rowB] = exploded.getRows();
+      assert.equal({ d1: "a", "x-min": 1, "y-min": 2 }, rowA);
+      assert.equal(true, Number.isNaN(rowB["x-min"]));
+      assert.equal(5, rowB["y-min"]);
+      assert.equal([{ "x-min": 1, "y-min": 2 }], exploded.select([]).getRows());
+      assert.equal({ "x-min": 1, "y-min": 2 }, exploded.totals());
+    });
+
+    should("throw an error for unknown aggregators", () => {
+      assert.throwsError(() => new DataCube.DataCube(["d1"], ["m1"], { aggregators: { m1: "x" } }));
+      assert.throwsError(() =>
+        new DataCube.DataCube(["d1"], ["m1"], { aggregators: { m2: "max" } })
+      );
+    });
+  });
+
+  context("derivedMetrics", () => {
+    const rows = [
+      { d1: "a", d2: "x", purchases: 1, views: 10 },
+      { d1: "a", d2: "y", purchases: 3, views: 10 },
+    ];
+    const options = {
+      derivedMetrics: {
+        conversion: (m) => m.purchases / m.views,
+        conversionPct: (m) => m.conversion * 100,
+      },
+    };
+
+    should("be computed after aggregation", () => {
+      const dc = DataCube.fromRows(["d1", "d2"], ["purchases", "views"], rows, options);
+      assert.equal(
+        [
+          { d1: "a", d2: "x", purchases: 1, views: 10, conversion: 0.1, conversionPct: 10 },
+          { d1: "a", d2: "y", purchases: 3, views: 10, conversion: 0.3, conversionPct: 30 },
+        ],
+        dc.getRows(),
+      );
+      assert.equal(
+        [{ d1: "a", purchases: 4, views: 20, conversion: 0.2, conversionPct: 20 }],
+        dc.select(["d1"]).getRows(),
+      );
+      assert.equal(
+        { purchases: 4, views: 20, conversion: 0.2, conversionPct: 20 },
+        dc.where({ d2: ["x", "y"] }).totals(),
+      );
+    });
+
+    should("not share a name with a metric", () => {
+      assert.throwsError(() =>
+        new DataCube.DataCube(["d1"], ["m1"], { derivedMetrics: { m1: (m) => m.m1 } })
+      );
+    });
+  });
+
+  context("where filter operators", () => {
+    const rows = [
+      { country: "US", category: "fiction", price: 10, m1: 1 },
+      { country: "JP", category: "history", price: 20, m1: 2 },
+      { country: "UK", category: "fiction", price: 30, m1: 3 },
+      { country: null, category: "science", price: 40, m1: 4 },
+    ];
+    const dimens = ["country", "category", "price"];
+    let dc;
+    let indexedDc;
+
+    setup(() => {
+      dc = DataCube.fromRows(dimens, ["m1"], rows);
+      indexedDc = DataCube.fromRows(dimens, ["m1"], rows, { indexedDimens: ["country"] });
+    });
+
+    const assertFilter = (expectedM1s, filter) => {
+      for (const cube of [dc, indexedDc]) {
+        assert.equal(expectedM1s, cube.where(filter).getRows().map((r) => r.m1));
+        // The filter should survive a round trip through JSON.
+        assert.equal(
+          expectedM1s,
+          cube.where(JSON.parse(JSON.stringify(filter))).getRows().map((r) => r.m1),
+        );
+      }
+    };
+
+    should("support value operators", () => {
+      assertFilter([1, 3], { country: { in: ["US", "UK"] } });
+      assertFilter([2, 4], { country: { notIn: ["US", "UK"] } });
+      assertFilter([2, 3, 4], { country: { ne: "US" } });
+      assertFilter([2, 3], { price: { gte: 20, lt: 40 } });
+      assertFilter([1, 4], { price: { not: { gt: 10, lte: 30 } } });
+      assertFilter([3], { country: { prefix: "U", ne: "US" } });
+      assertFilter([1, 3], { category: { regex: "^fic" } });
+      assertFilter([4], { country: { isNull: true } });
+      assertFilter([1, 2, 3], { country: { isNull: false } });
+    });
+
+    should("support combining filters across dimensions", () => {
+      assertFilter([1, 2, 3], { $or: [{ country: "JP" }, { category: "fiction" }] });
+      assertFilter([2, 3], {
+        $or: [{ country: "JP" }, { category: "fiction" }],
+        price: { gt: 10 },
+      });
+      assertFilter([2, 4], { $not: { category: "fiction" } });
+      assertFilter([1], { $and: [{ category: "fiction" }, { $not: { country: "UK" } }] });
+      assertFilter([], { $or: [] });
+    });
+
+    should("throw an error for unknown dimensions and operators", () => {
+      assert.throwsError(() => dc.where({ d9: "a" }));
+      assert.throwsError(() => dc.where({ $or: [{ d9: "a" }] }));
+      assert.throwsError(() => dc.where({ country: { startsWith: "U" } }));
+    });
+
+    should("throw an error which names the operator for operands which aren't arrays", () => {
+      let message;
+      try {
+        dc.where({ country: { in: "US" } });
+      } catch (error) {
+        message = error.message;
+      }
+      assert.equal(
+        `The "in" filter operator requires an array of values, but was given "US".`,
+        message,
+      );
+      assert.throwsError(() => dc.where({ country: { notIn: "US" } }));
+    });
+  });
+
+  context("metric filtering and ordering", () => {
+    const rows = [
+      { country: "US", product: "a", views: 10, revenue: 100 },
+      { country: "JP", product: "a", views: 30, revenue: 50 },
+      { country: "UK", product: "b", views: 20, revenue: 300 },
+      { country: "US", product: "b", views: 25, revenue: 20 },
+    ];
+    const options = { derivedMetrics: { revenuePerView: (m) => m.revenue / m.views } };
+    let dc;
+
+    setup(() => {
+      dc = DataCube.fromRows(["country", "product"], ["views", "revenue"], rows, options);
+    });
+
+    should("filter cells by metric with having", () => {
+      const views = (cube) => cube.getRows().map((r) => r.views);
+      assert.equal([10, 20], views(dc.having({ revenue: { gte: 100 } })));
+      assert.equal([20], views(dc.having({ revenue: { gt: 50 }, views: (v) => v > 10 })));
+      assert.equal([20], views(dc.having({ revenuePerView: { gt: 10 } })));
+      assert.throwsError(() => dc.having({ m9: 1 }));
+    });
+
+    should("keep the top N values of a dimension", () => {
+      // US has 35 views in total, so it ranks first.
+      assert.equal(
+        [["US", "a"], ["JP", "a"], ["US", "b"]],
+        dc.topN("country", "views", 2).getRows().map((r) => [r.country, r.product]),
+      );
+      assert.equal(["UK"], dc.topN("country", "revenuePerView", 1).getDimensionValues("country"));
+      assert.equal(
+        ["UK"],
+        dc.topN("country", "views", 1, { ascending: true })
+          .getDimensionValues("country"),
+      );
+    });
+
+    should("order cells by dimensions and metrics", () => {
+      const order = (sortKeys) => dc.orderBy(sortKeys).getRows().map((r) => r.views);
+      assert.equal([30, 20, 10, 25], order(["country"]));
+      assert.equal([10, 25, 20, 30], order([{ key: "country", descending: true }]));
+      assert.equal([10, 30, 20, 25], order(["product"]));
+      assert.equal([30, 10, 25, 20], order(["product", { key: "views", descending: true }]));
+      assert.equal([25, 30, 10, 20], order(["revenuePerView"]));
+    });
+  });
+
+  should("getRows with sorting and pagination", () => {
+    const dc = DataCube.fromRows(["d1"], ["m1"], [
+      { d1: "a", m1: 3 },
+      { d1: "b", m1: 1 },
+      { d1: "c", m1: 2 },
+      { d1: "d", m1: 4 },
+    ]);
+    const d1s = (options) => dc.getRows(options).map((r) => r.d1);
+    assert.equal(["b", "c"], d1s({ offset: 1, limit: 2 }));
+    assert.equal(["d"], d1s({ offset: 3, limit: 2 }));
+    assert.equal([], d1s({ offset: 5 }));
+    assert.equal(["b", "c", "a", "d"], d1s({ sort: ["m1"] }));
+    assert.equal(["a", "c"], d1s({ sort: [{ key: "m1", descending: true }], offset: 1, limit: 2 }));
+    assert.equal(
+      [{ d1: "d", m1: 4 }],
+      dc.getRows({ sort: [{ key: "d1", descending: true }], limit: 1 }),
+    );
+  });
+
+  context("indexes", () => {
+    const rows = [
+      { d1: "a", d2: "x", m1: 1 },
+      { d1: "b", d2: "y", m1: 2 },
+      { d1: "a", d2: "y", m1: 3 },
+      { d1: "c", d2: "x", m1: 4 },
+    ];
+
+    should("produce the same results from where as an unindexed cube", () => {
+      const unindexed = DataCube.fromRows(["d1", "d2"], ["m1"], rows);
+      const indexed = DataCube.fromRows(["d1", "d2"], ["m1"], rows, { indexedDimens: ["d1"] });
+      const filters = [
+        { d1: "a" },
+        { d1: ["a", "c"] },
+        { d1: (d1) => d1 != "a" },
+        { d1: ["a", "b"], d2: "y" },
+        { d1: "z" },
+      ];
+      for (const filter of filters) {
+        assert.equal(unindexed.where(filter).getRows(), indexed.where(filter).getRows());
+      }
+    });
+
+    should("evaluate function filters once per distinct value", () => {
+      const dc = DataCube.fromRows(["d1", "d2"], ["m1"], rows, { indexedDimens: ["d1"] });
+      const seen = [];
+      const filter = (v) => {
+        seen.push(v);
+        return v == "x";
+      };
+      dc.where({ d1: (v) => (seen.push(v), true), d2: filter });
+      assert.equal(["a", "b", "c", "x", "y"], seen);
+    });
+
+    should("be kept up to date by addRow and rebuilt by where and select", () => {
+      const dc = DataCube.fromRows(["d1", "d2"], ["m1"], rows, { indexedDimens: ["d1"] });
+      dc.addRow({ d1: "d", d2: "x", m1: 5 });
+      assert.equal(["a", "b", "c", "d"], dc.getDimensionValues("d1"));
+      assert.equal([{ d1: "d", d2: "x", m1: 5 }], dc.where({ d1: "d" }).getRows());
+      const filtered = dc.where({ d2: "x" });
+      assert.equal(["a", "c", "d"], filtered.getDimensionValues("d1"));
+      assert.equal([{ d1: "c", m1: 4 }], filtered.select(["d1"]).where({ d1: "c" }).getRows());
+    });
+
+    should("be built on demand", () => {
+      const dc = DataCube.fromRows(["d1", "d2"], ["m1"], rows);
+      dc.buildIndex(["d2"]);
+      assert.equal([rows[0], rows[3]], dc.where({ d2: "x" }).getRows());
+      assert.throwsError(() => dc.buildIndex(["d3"]));
+    });
+  });
+
+  context("metricTypes", () => {
+    const rows = [
+      { d1: "a", m1: 10_000_000.25, m2: 2 ** 40 },
+      { d1: "a", m1: 0.5, m2: 2 ** 40 },
+    ];
+
+    should("store metrics as float32 by default", () => {
+      const dc = DataCube.fromRows(["d1"], ["m1"], rows);
+      // Float32 can't represent the fractional part of such large numbers.
+      assert.equal({ m1: 10_000_000 }, dc.totals());
+    });
+
+    should("allow a type for all metrics, or per metric", () => {
+      let dc = DataCube.fromRows(["d1"], ["m1", "m2"], rows, { metricTypes: "float64" });
+      assert.equal({ m1: 10_000_000.75, m2: 2 ** 41 }, dc.totals());
+      dc = DataCube.fromRows(["d1"], ["m1", "m2"], rows, {
+        metricTypes: { m1: "int32", m2: "bigint64" },
+      });
+      assert.equal([{ d1: "a", m1: 10_000_000, m2: 2n ** 41n }], dc.getRows());
+      assert.equal({ m1: 10_000_000, m2: 2n ** 41n }, dc.select([]).where({}).clone().totals());
+    });
+
+    should("support bigint64 with every aggregator", () => {
+      const dc = DataCube.fromRows(["d1"], ["m1", "m2"], rows, {
+        metricTypes: "bigint64",
+        aggregators: { m1: "count", m2: "max" },
+      });
+      assert.equal({ m1: 2n, m2: 2n ** 40n }, dc.totals());
+      assert.equal({ m1: 0n, m2: null }, dc.where({ d1: "b" }).totals());
+    });
+
+    should("throw an error for unknown types", () => {
+      assert.throwsError(() => new DataCube.DataCube(["d1"], ["m1"], { metricTypes: "float16" }));
+    });
+  });
+
+  context("distinctCounts", () => {
+    const rows = [
+      { page: "home", country: "US", visitor: "v1", views: 1 },
+      { page: "home", country: "US", visitor: "v2", views: 1 },
+      { page: "home", country: "JP", visitor: "v1", views: 1 },
+      { page: "about", country: "US", visitor: "v1", views: 1 },
+      { page: "about", country: "US", visitor: "v3", views: 1 },
+    ];
+    const options = {
+      distinctCounts: { visitors: { column: "visitor", precision: 10 } },
+      derivedMetrics: { viewsPerVisitor: (m) => m.views / m.visitors },
+    };
+    let dc;
+
+    setup(() => {
+      dc = DataCube.fromRows(["page", "country"], ["views"], rows, options);
+    });
+
+    should("estimate distinct values per cell", () => {
+      assert.equal(
+        [
+          { page: "home", country: "US", views: 2, visitors: 2, viewsPerVisitor: 1 },
+          { page: "home", country: "JP", views: 1, visitors: 1, viewsPerVisitor: 1 },
+          { page: "about", country: "US", views: 2, visitors: 2, viewsPerVisitor: 1 },
+        ],
+        dc.getRows(),
+      );
+    });
+
+    should("merge sketches in select, where and totals", () => {
+      assert.equal([2, 2], dc.select(["page"]).getRows().map((r) => r.visitors));
+      assert.equal([3], dc.where({ country: "US" }).select([]).getRows().map((r) => r.visitors));
+      assert.equal({ views: 5, visitors: 3, viewsPerVisitor: 5 / 3 }, dc.totals());
+      assert.equal(
+        [{ page: "home", country: "other", views: 3, visitors: 2, viewsPerVisitor: 1.5 }],
+        dc.aggregateTailValues("country", () => 0, 0, "other").where({ page: "home" }).getRows(),
+      );
+    });
+
+    should("be usable in having and orderBy", () => {
+      assert.equal(
+        ["US", "US"],
+        dc.having({ visitors: { gte: 2 } }).getRows().map((r) => r.country),
+      );
+      assert.equal(["JP", "US", "US"], dc.orderBy(["visitors"]).getRows().map((r) => r.country));
+    });
+
+    should("be written to and read from files", async () => {
+      const tmpFolder = await Deno.makeTempDir();
+      await dc.writeToFile(tmpFolder + "/dc");
+      const dcFromFile = await DataCube.readFromFile(tmpFolder + "/dc", {
+        derivedMetrics: options.derivedMetrics,
+      });
+      await Deno.remove(tmpFolder, { recursive: true });
+      assert.equal(dc.getRows(), dcFromFile.getRows());
+      assert.equal(3, dcFromFile.totals().visitors);
+    });
+  });
+
+  context("quantiles", () => {
+    const rows = [];
+    for (let i = 1; i <= 100; i++) {
+      rows.push({ host: i % 2 == 0 ? "even" : "odd", latency: i, requests: 1 });
+    }
+    const options = { quantiles: { latency: { column: "latency", percentiles: [50, 99] } } };
+
+    should("report percentiles per cell and for merged cells", () => {
+      const dc = DataCube.fromRows(["host"], ["requests"], rows, options);
+      const [odd, even] = dc.getRows();
+      assert.equal(["even", 50], [even.host, even.requests]);
+      assert.isTrue(Math.abs(even.latency_p50 - 51) <= 1);
+      assert.isTrue(Math.abs(odd.latency_p50 - 50) <= 1);
+      const [all] = dc.select([]).getRows();
+      assert.isTrue(Math.abs(all.latency_p50 - 50.5) <= 1);
+      assert.isTrue(all.latency_p99 >= 98 && all.latency_p99 <= 100);
+      assert.equal(all.latency_p99, dc.totals().latency_p99);
+      assert.equal(
+        { requests: 0, latency_p50: null, latency_p99: null },
+        dc.where({ host: "x" }).totals(),
+      );
+    });
+
+    should("be written to and read from files", async () => {
+      const dc = DataCube.fromRows(["host"], ["requests"], rows, options);
+      const tmpFolder = await Deno.makeTempDir();
+      await dc.writeToFile(tmpFolder + "/dc", { gzip: true });
+      const dcFromFile = await DataCube.readFromFile(tmpFolder + "/dc", { gzip: true });
+      await Deno.remove(tmpFolder, { recursive: true });
+      assert.equal(dc.getRows(), dcFromFile.getRows());
+      assert.equal(dc.totals(), dcFromFile.totals());
+    });
+  });
+
+  context("time dimensions", () => {
+    const rows = [
+      // A Thursday.
+      { date: "2023-01-05", country: "US", m1: 1 },
+      { date: "2023-01-08", country: "US", m1: 2 },
+      { date: "2023-01-09", country: "US", m1: 3 },
+      { date: "2023-04-01", country: "JP", m1: 4 },
+      { date: "2024-02-29", country: "US", m1: 5 },
+    ];
+    const options = { timeDimens: ["date"], aggregators: { m1: "max" } };
+    let dc;
+
+    setup(() => {
+      dc = DataCube.fromRows(["date", "country"], ["m1"], rows, options);
+    });
+
+    const rollup = (granularity, options) =>
+      dc.rollupTime("date", granularity, options).select(["date"]).getRows()
+        .map((r) => [r.date, r.m1]);
+
+    should("roll up to coarser periods", () => {
+      assert.equal(rows.map((r) => [r.date, r.m1]), rollup("day"));
+      assert.equal(
+        [["2023-01-02", 2], ["2023-01-09", 3], ["2023-03-27", 4], ["2024-02-26", 5]],
+        rollup("week"),
+      );
+      assert.equal(
+        [["2023-01-01", 1], ["2023-01-08", 3], ["2023-03-26", 4], ["2024-02-25", 5]],
+        rollup("week", { weekStart: 0 }),
+      );
+      assert.equal([["2023-01-01", 3], ["2023-04-01", 4], ["2024-02-01", 5]], rollup("month"));
+      assert.equal([["2023-01-01", 3], ["2023-04-01", 4], ["2024-01-01", 5]], rollup("quarter"));
+      assert.equal([["2023-01-01", 4], ["2024-01-01", 5]], rollup("year"));
+    });
+
+    should("use the time zone for Dates and timestamps", () => {
+      const dc = DataCube.fromRows(["time"], ["m1"], [
+        { time: new Date("2023-01-01T03:00:00Z"), m1: 1 },
+        { time: Date.parse("2023-01-01T12:00:00Z"), m1: 2 },
+      ], { timeDimens: ["time"] });
+      const days = (options) => dc.rollupTime("time", "day", options).getRows();
+      assert.equal([{ time: "2023-01-01", m1: 3 }], days());
+      assert.equal(
+        [{ time: "2022-12-31", m1: 1 }, { time: "2023-01-01", m1: 2 }],
+        days({ timeZone: "America/New_York" }),
+      );
+    });
+
+    should("filter date ranges chronologically", () => {
+      const dates = (filter) => dc.where(filter).getRows().map((r) => r.date);
+      assert.equal(
+        ["2023-01-08", "2023-01-09"],
+        dates({ date: { gte: "2023-01-06", lt: new Date("2023-04-01T00:00:00Z") } }),
+      );
+      assert.equal(["2024-02-29"], dates({ date: { gt: Date.parse("2023-04-01") } }));
+      assert.equal(["2023-04-01"], dates({ date: new Date("2023-04-01") }));
+    });
+
+    should("throw an error for invalid dimensions and granularities", () => {
+      assert.throwsError(() => dc.rollupTime("country", "week"));
+      assert.throwsError(() => dc.rollupTime("date", "fortnight"));
+    });
+
+    should("throw an error which names the dimension for invalid dates", () => {
+      const getMessage = (fn) => {
+        try {
+          fn();
+        } catch (error) {
+          return error.message;
+        }
+      };
+      const message = `"not a date" isn't a valid date or time for the time dimension date.`;
+      assert.equal(message, getMessage(() => dc.addRow({ date: "not a date", m1: 1 })));
+      assert.equal(5, dc.getDimensionValues("date").length);
+      assert.equal(
+        `"Invalid Date" isn't a valid date or time for the time dimension date.`,
+        getMessage(() => dc.addRow({ date: new Date("x"), m1: 1 })),
+      );
+      assert.equal(message, getMessage(() => dc.fillGaps("date", "day", { start: "not a date" })));
+    });
+
+    should("not add the other values of rows with invalid dates to the dictionaries", () => {
+      const dc = DataCube.fromRows(["country", "date"], ["m1"], [
+        { country: "US", date: "2023-01-01", m1: 1 },
+      ], { timeDimens: ["date"] });
+      assert.throwsError(() => dc.addRow({ country: "FR", date: "not a date", m1: 1 }));
+      assert.equal(["US"], dc.getDimensionValues("country"));
+      assert.equal(1, dc.count());
+    });
+
+    should("fill gaps for every combination of the other dimensions", () => {
+      const months = dc.fillGaps("date", "month", { end: "2023-05-15", fillValues: { m1: -1 } })
+        .getRows().map((r) => [r.date, r.country, r.m1]);
+      assert.equal([
+        ["2023-01-01", "US", 3],
+        ["2023-01-01", "JP", -1],
+        ["2023-02-01", "US", -1],
+        ["2023-02-01", "JP", -1],
+        ["2023-03-01", "US", -1],
+        ["2023-03-01", "JP", -1],
+        ["2023-04-01", "JP", 4],
+        ["2023-04-01", "US", -1],
+        ["2023-05-01", "US", -1],
+        ["2023-05-01", "JP", -1],
+        ["2024-02-01", "US", 5],
+      ], months);
+
+      const days = dc.select(["date"]).fillGaps("date", "day", { start: "2023-01-04" }).getRows();
+      assert.equal(422, days.length);
+      assert.equal(
+        [["2023-01-04", 0], ["2023-01-05", 1], ["2023-01-06", 0]],
+        days.slice(0, 3).map((r) => [r.date, r.m1]),
+      );
+    });
+
+    should("compare periods with earlier periods", () => {
+      const dc = DataCube.fromRows(["week", "country"], ["m1"], [
+        { week: "2023-01-02", country: "US", m1: 2 },
+        { week: "2023-01-09", country: "US", m1: 3 },
+        { week: "2023-01-09", country: "JP", m1: 4 },
+        { week: "2023-01-16", country: "US", m1: 6 },
+      ], { timeDimens: ["week"] });
+      assert.equal([
+        ["2023-01-02", "US", 2, 0, 2, null],
+        ["2023-01-09", "US", 3, 2, 1, 50],
+        ["2023-01-09", "JP", 4, 0, 4, null],
+        ["2023-01-16", "US", 6, 3, 3, 100],
+        ["2023-01-16", "JP", 0, 4, -4, -100],
+      ], dc.periodOverPeriod("week", "week").getRows().map(Object.values));
+
+      const totals = dc.periodOverPeriod("week", "week", { offset: 2 }).select(["week"]).getRows()
+        .map((r) => [r.week, r.m1_current, r.m1_previous, r.m1_pctChange]);
+      assert.equal([
+        ["2023-01-02", 2, 0, null],
+        ["2023-01-09", 7, 0, null],
+        ["2023-01-16", 6, 2, 200],
+      ], totals);
+    });
+  });
+
+  context("merge", () => {
+    const options = { aggregators: { m2: "max" }, distinctCounts: { users: "user" } };
+    const dc1 = DataCube.fromRows(["d1", "d2"], ["m1", "m2"], [
+      { d1: "a", d2: "x", m1: 1, m2: 5, user: 1 },
+      { d1: "b", d2: "x", m1: 2, m2: 1, user: 2 },
+    ], options);
+    // Different dimension order and dictionary order.
+    const dc2 = DataCube.fromRows(["d2", "d1"], ["m2", "m1"], [
+      { d1: "c", d2: "y", m1: 4, m2: 3, user: 3 },
+      { d1: "a", d2: "x", m1: 3, m2: 2, user: 4 },
+    ], options);
+
+    should("combine cells, remapping dimension values", () => {
+      const toArrays = (dc) => dc.getRows().map((r) => [r.d1, r.d2, r.m1, r.m2, r.users]);
+      const expected = [["a", "x", 4, 5, 2], ["b", "x", 2, 1, 1], ["c", "y", 4, 3, 1]];
+      assert.equal(expected, toArrays(dc1.merge(dc2)));
+      const dc3 = DataCube.fromRows(["d1", "d2"], ["m1", "m2"], [
+        { d1: "b", d2: "x", m1: 1, m2: 7, user: 2 },
+      ], options);
+      assert.equal(
+        [["a", "x", 4, 5, 2], ["b", "x", 3, 7, 1], ["c", "y", 4, 3, 1]],
+        toArrays(DataCube.merge([dc1, dc2, dc3])),
+      );
+      // The inputs are unchanged, and the result can be appended to.
+      assert.equal(2, dc1.count());
+      const merged = dc1.merge(dc2);
+      merged.addRow({ d1: "c", d2: "y", m1: 1, m2: 0, user: 5 });
+      assert.equal([5, 2], merged.where({ d1: "c" }).getRows().map((r) => [r.m1, r.users])[0]);
+    });
+
+    should("throw an error for incompatible datacubes", () => {
+      const dc = (dimens, metrics, options) => DataCube.fromRows(dimens, metrics, [], options);
+      assert.throwsError(() => dc1.merge(dc(["d1"], ["m1", "m2"], options)));
+      assert.throwsError(() => dc1.merge(dc(["d1", "d2"], ["m1"], options)));
+      assert.throwsError(() => dc1.merge(dc(["d1", "d2"], ["m1", "m2"], {})));
+      assert.throwsError(() =>
+        dc1.merge(dc(["d1", "d2"], ["m1", "m2"], { ...options, metricTypes: "float64" }))
+      );
+      assert.throwsError(() => DataCube.merge([]));
+    });
+  });
+
+  context("attribute tables", () => {
+    const products = [
+      { productId: 1, brand: "Acme", supplier: "X" },
+      { productId: 2, brand: "Acme", supplier: "Y" },
+      { productId: 3, brand: "Zenith", supplier: "Y" },
+    ];
+    let dc;
+
+    setup(() => {
+      dc = DataCube.fromRows(["productId", "country"], ["m1"], [
+        { productId: 1, country: "US", m1: 1 },
+        { productId: 2, country: "US", m1: 2 },
+        { productId: 3, country: "JP", m1: 4 },
+        { productId: 4, country: "JP", m1: 8 },
+      ]);
+      dc.addAttributeTable("productId", products);
+    });
+
+    should("select lookup dimensions", () => {
+      assert.equal(
+        [{ brand: "Acme", m1: 3 }, { brand: "Zenith", m1: 4 }, { brand: null, m1: 8 }],
+        dc.select(["brand"]).getRows(),
+      );
+      assert.equal(
+        [["US", "X", 1], ["US", "Y", 2], ["JP", "Y", 4], ["JP", null, 8]],
+        dc.select(["country", "supplier"]).getRows().map(Object.values),
+      );
+    });
+
+    should("filter by lookup dimensions", () => {
+      assert.equal([1, 2], dc.where({ brand: "Acme" }).getRows().map((r) => r.productId));
+      assert.equal(
+        [2],
+        dc.where({ brand: "Acme", supplier: { ne: "X" } }).getDimensionValues("productId"),
+      );
+      dc.buildIndex(["productId"]);
+      assert.equal(
+        [3, 4],
+        dc.where({ brand: { notIn: ["Acme"] } }).getDimensionValues("productId"),
+      );
+      // Derived cubes keep the attribute table.
+      assert.equal(
+        [2],
+        dc.where({ country: "US" }).where({ supplier: "Y" }).getDimensionValues("productId"),
+      );
+    });
+
+    should("getDimensionValues of lookup dimensions", () => {
+      assert.equal(["Acme", "Zenith", null], dc.getDimensionValues("brand"));
+      assert.equal(["Y", null], dc.where({ country: "JP" }).getDimensionValues("supplier"));
+    });
+
+    should("preserve attribute tables when writing to a file", async () => {
+      const tmpFolder = await Deno.makeTempDir();
+      await dc.writeToFile(tmpFolder + "/dc");
+      const dcFromFile = await DataCube.readFromFile(tmpFolder + "/dc");
+      await Deno.remove(tmpFolder, { recursive: true });
+      assert.equal(dc.select(["supplier"]).getRows(), dcFromFile.select(["supplier"]).getRows());
+    });
+
+    should("throw an error for attributes which conflict with dimensions or metrics", () => {
+      assert.throwsError(() =>
+        dc.addAttributeTable("productId", [{ productId: 1, country: "US" }])
+      );
+      assert.throwsError(() => dc.addAttributeTable("productId", [{ productId: 1, m1: 2 }]));
+      assert.throwsError(() => dc.addAttributeTable("country", [{ country: "US", brand: "Acme" }]));
+      assert.throwsError(() => dc.select(["color"]));
+    });
+  });
+
+  context("hierarchies", () => {
+    let dc;
+
+    setup(() => {
+      dc = DataCube.fromRows(["city", "region", "country", "date"], ["m1"], [
+        { country: "US", region: "CA", city: "SF", date: "2023-01-01", m1: 1 },
+        { country: "US", region: "CA", city: "LA", date: "2023-01-01", m1: 2 },
+        { country: "US", region: "NY", city: "NYC", date: "2023-01-02", m1: 4 },
+        { country: "JP", region: "Kanto", city: "Tokyo", date: "2023-01-01", m1: 8 },
+      ], { hierarchies: { geo: ["country", "region", "city"] } });
+    });
+
+    should("drill down and up", () => {
+      const top = dc.drillDown("geo");
+      assert.equal([{ country: "US", m1: 7 }, { country: "JP", m1: 8 }], top.getRows());
+      const us = dc.drillDown("geo", ["US"]);
+      assert.equal(
+        [{ country: "US", region: "CA", m1: 3 }, { country: "US", region: "NY", m1: 4 }],
+        us.getRows(),
+      );
+      const ca = dc.drillDown("geo", ["US", "CA"]);
+      assert.equal({ hierarchy: "geo", path: ["US", "CA"] }, ca.drillPath);
+      assert.equal(["SF", "LA"], ca.getDimensionValues("city"));
+      assert.equal(us.getRows(), ca.drillUp("geo").getRows());
+      assert.equal(top.getRows(), ca.drillUp("geo").drillUp("geo").getRows());
+    });
+
+    should("keep the drill state of each result when queries are cached", () => {
+      const dc = DataCube.fromRows(["region", "country"], ["m1"], [
+        { country: "US", region: "CA", m1: 1 },
+        { country: "JP", region: "Kanto", m1: 2 },
+      ], {
+        hierarchies: { geo: ["country", "region"], market: ["country"] },
+        queryCache: {},
+      });
+      const geo = dc.drillDown("geo");
+      const market = dc.drillDown("market");
+      assert.equal({ hierarchy: "geo", path: [] }, geo.drillPath);
+      assert.equal({ hierarchy: "market", path: [] }, market.drillPath);
+      const us = dc.drillDown("geo", ["US"]);
+      assert.equal({ hierarchy: "geo", path: [] }, us.drillUp("geo").drillPath);
+      assert.throwsError(() => geo.drillUp("geo"));
+    });
+
+    should("get dimension values within a parent path", () => {
+      assert.equal(["CA", "NY"], dc.getDimensionValues("region", ["US"]));
+      assert.equal(["NYC"], dc.getDimensionValues("city", ["US", "NY"]));
+      assert.equal(["SF", "LA", "NYC", "Tokyo"], dc.getDimensionValues("city", []));
+    });
+
+    should("support lookup dimensions as levels", () => {
+      const dc = DataCube.fromRows(["productId"], ["m1"], [
+        { productId: 1, m1: 1 },
+        { productId: 2, m1: 2 },
+        { productId: 3, m1: 4 },
+      ], { hierarchies: { products: ["category", "productId"] } });
+      dc.addAttributeTable("productId", [
+        { productId: 1, category: "toys" },
+        { productId: 2, category: "toys" },
+        { productId: 3, category: "books" },
+      ]);
+      assert.equal(
+        [{ category: "toys", m1: 3 }, { category: "books", m1: 4 }],
+        dc.drillDown("products").getRows(),
+      );
+      assert.equal([1, 2], dc.drillDown("products", ["toys"]).getDimensionValues("productId"));
+    });
+
+    should("throw an error for invalid hierarchies and paths", () => {
+      assert.throwsError(() => dc.drillDown("time"));
+      assert.throwsError(() => dc.drillDown("geo", ["US", "CA", "SF"]));
+      assert.throwsError(() => dc.drillDown("geo").drillUp("geo"));
+      assert.throwsError(() => dc.drillUp("geo"));
+      assert.throwsError(() => dc.getDimensionValues("date", ["US"]));
+      assert.throwsError(() => dc.getDimensionValues("region", ["US", "CA"]));
+    });
+  });
+
+  context("materialize", () => {
+    const rows = [
+      { date: "2023-01-01", country: "US", browser: "a", m1: 1 },
+      { date: "2023-01-01", country: "JP", browser: "b", m1: 2 },
+      { date: "2023-01-02", country: "US", browser: "a", m1: 4 },
+      { date: "2023-01-02", country: "US", browser: "b", m1: 8 },
+    ];
+    const dimens = ["date", "country", "browser"];
+    let dc, plainDc;
+
+    setup(() => {
+      dc = DataCube.fromRows(dimens, ["m1"], rows).materialize([["country"], ["date", "country"]]);
+      plainDc = DataCube.fromRows(dimens, ["m1"], rows);
+    });
+
+    should("answer select, where and totals from the smallest materialization", () => {
+      assert.equal([["date", "country"], ["country"]], dc.materializations.map((m) => m.dimens));
+      assert.equal([3, 2], dc.materializations.map((m) => m.count()));
+      for (const d of [["date"], ["country"], ["country", "date"], ["browser"], []]) {
+        assert.equal(plainDc.select(d).getRows(), dc.select(d).getRows());
+      }
+      assert.equal(plainDc.totals(), dc.totals());
+      const filtered = dc.where({ country: "US" });
+      assert.equal(2, filtered.materializations.length);
+      assert.equal(
+        plainDc.where({ country: "US" }).select(["date"]).getRows(),
+        filtered.select(["date"]).getRows(),
+      );
+      assert.equal(0, dc.where({ browser: "a" }).materializations.length);
+
+      // Show that the smallest materialization is used, by changing its data.
+      dc.materializations[1].metricsData[0].set(0, 100);
+      assert.equal({ country: "US", m1: 100 }, dc.select(["country"]).getRows()[0]);
+      assert.equal(102, dc.totals().m1);
+    });
+
+    should("keep materializations up to date as rows are added", () => {
+      const row = { date: "2023-01-03", country: "UK", browser: "a", m1: 16 };
+      dc.addRow(row);
+      plainDc.addRow(row);
+      for (const d of [["date"], ["country"]]) {
+        assert.equal(plainDc.select(d).getRows(), dc.select(d).getRows());
+      }
+      assert.equal(plainDc.select(["country"]).getRows(), dc.clone().select(["country"]).getRows());
+    });
+
+    should("be written to and read from files", async () => {
+      const tmpFolder = await Deno.makeTempDir();
+      await dc.writeToFile(tmpFolder + "/dc");
+      const dcFromFile = await DataCube.readFromFile(tmpFolder + "/dc");
+      await Deno.remove(tmpFolder, { recursive: true });
+      assert.equal(
+        [["date", "country"], ["country"]],
+        dcFromFile.materializations.map((m) => m.dimens),
+      );
+      assert.equal(dc.select(["date"]).getRows(), dcFromFile.select(["date"]).getRows());
+    });
+  });
+
+  context("queryCache", () => {
+    let dc;
+
+    setup(() => {
+      dc = DataCube.fromRows(["d1", "d2"], ["m1"], [
+        { d1: "a", d2: "x", m1: 1 },
+        { d1: "b", d2: "x", m1: 2 },
+        { d1: "b", d2: "y", m1: 4 },
+      ], { queryCache: { maxCells: 4 } });
+    });
+
+    should("return cached results for repeated queries", () => {
+      assert.isTrue(dc.select(["d1"]) === dc.select(["d1"]));
+      assert.isTrue(dc.where({ d1: "b", d2: ["x"] }) === dc.where({ d2: ["x"], d1: "b" }));
+      assert.isTrue(dc.where({ d1: "b" }) !== dc.where({ d1: ["b"] }));
+      assert.isTrue(dc.totals() === dc.totals());
+      // Results have caches of their own.
+      const filtered = dc.where({ d1: "b" });
+      assert.isTrue(filtered.select(["d2"]) === dc.where({ d1: "b" }).select(["d2"]));
+      // Filters with functions aren't cached.
+      const isB = (v) => v == "b";
+      assert.isTrue(dc.where({ d1: isB }) !== dc.where({ d1: isB }));
+    });
+
+    should("cache queries with Dates, including invalid ones", () => {
+      const date = new Date("2023-01-01");
+      assert.isTrue(dc.where({ d1: date }) === dc.where({ d1: new Date("2023-01-01") }));
+      assert.isTrue(dc.where({ d1: date }) !== dc.where({ d1: new Date("2023-01-02") }));
+      assert.equal(0, dc.where({ d1: new Date("not a date") }).count());
+    });
+
+    should("evict the least recently used results", () => {
+      const d1 = dc.select(["d1"]);
+      const d2 = dc.select(["d2"]);
+      dc.select(["d1"]);
+      dc.select([]);
+      assert.isTrue(d1 === dc.select(["d1"]));
+      assert.isTrue(d2 !== dc.select(["d2"]));
+      // Results which are larger than the cache aren't cached.
+      const small = DataCube.fromRows(["d1"], ["m1"], [], { queryCache: { maxBytes: 1 } });
+      small.addRow({ d1: "a", m1: 1 });
+      assert.isTrue(small.select(["d1"]) !== small.select(["d1"]));
+    });
+
+    should("make cached results read-only", () => {
+      const selected = dc.select(["d1"]);
+      assert.throwsError(() => selected.addRow({ d1: "a", m1: 1 }));
+      assert.throwsError(() => dc.where({ d1: "b" }).mergeRow({ d1: "b", d2: "x", m1: 1 }));
+      assert.throwsError(() => dc.where({ d1: "b" }).deleteWhere({ d2: "x" }));
+      assert.throwsError(() => {
+        dc.totals().m1 = 0;
+      });
+      // Re-running the queries returns the original results.
+      assert.equal([{ d1: "a", m1: 1 }, { d1: "b", m1: 6 }], dc.select(["d1"]).getRows());
+      assert.equal(2, dc.where({ d1: "b" }).count());
+      assert.equal(7, dc.totals().m1);
+      // Clones of cached results, and results which weren't cached, can be modified.
+      const copy = selected.clone();
+      copy.addRow({ d1: "a", m1: 1 });
+      assert.equal([{ d1: "a", m1: 2 }, { d1: "b", m1: 6 }], copy.getRows());
+      assert.equal([{ d1: "a", m1: 1 }, { d1: "b", m1: 6 }], dc.select(["d1"]).getRows());
+      const uncached = dc.where({ d1: (v) => v == "b" });
+      uncached.addRow({ d1: "b", d2: "x", m1: 1 });
+      assert.equal(3, uncached.getRows()[0].m1);
+    });
+
+    should("be cleared when rows are added", () => {
+      const before = dc.select(["d1"]);
+      const totals = dc.totals();
+      dc.addRow({ d1: "a", d2: "y", m1: 8 });
+      assert.equal([{ d1: "a", m1: 9 }, { d1: "b", m1: 6 }], dc.select(["d1"]).getRows());
+      assert.isTrue(before !== dc.select(["d1"]));
+      assert.equal(15, dc.totals().m1);
+      assert.equal(7, totals.m1);
+    });
+  });
+
+  context("updates and deletions", () => {
+    const rows = [
+      { d1: "a", d2: "x", m1: 1 },
+      { d1: "b", d2: "x", m1: 2 },
+      { d1: "b", d2: "y", m1: 4 },
+      { d1: "c", d2: "y", m1: 8 },
+    ];
+    let dc;
+
+    setup(() => {
+      dc = DataCube.fromRows(["d1", "d2"], ["m1", "n"], rows, {
+        aggregators: { n: "count" },
+        indexedDimens: ["d2"],
+      }).materialize([["d2"]]);
+    });
+
+    const toArrays = (dc) => dc.getRows().map((r) => [r.d1, r.d2, r.m1, r.n]);
+
+    should("subtractRow", () => {
+      dc.addRow({ d1: "a", d2: "x", m1: 16 });
+      dc.subtractRow({ d1: "a", d2: "x", m1: 1 });
+      assert.equal(["a", "x", 16, 1], toArrays(dc)[0]);
+      assert.equal(
+        [{ d2: "x", m1: 18, n: 2 }, { d2: "y", m1: 12, n: 2 }],
+        dc.select(["d2"]).getRows(),
+      );
+      assert.throwsError(() => dc.subtractRow({ d1: "z", d2: "x", m1: 1 }));
+      const maxDc = DataCube.fromRows(["d1"], ["m1"], rows, { aggregators: { m1: "max" } });
+      assert.throwsError(() => maxDc.subtractRow(rows[0]));
+    });
+
+    should("removeRow and deleteWhere", () => {
+      assert.isTrue(dc.removeRow({ d1: "b", d2: "x" }));
+      assert.isFalse(dc.removeRow({ d1: "b", d2: "x" }));
+      assert.equal([["a", "x", 1, 1], ["b", "y", 4, 1], ["c", "y", 8, 1]], toArrays(dc));
+      assert.equal(2, dc.deleteWhere({ d2: "y" }));
+      assert.equal([["a", "x", 1, 1]], toArrays(dc));
+      assert.equal([{ d2: "x", m1: 1, n: 1 }], dc.select(["d2"]).getRows());
+      assert.equal(["a"], dc.where({ d2: "x" }).getDimensionValues("d1"));
+      // The remaining cells can still be added to.
+      dc.addRow({ d1: "c", d2: "y", m1: 2 });
+      dc.addRow({ d1: "a", d2: "x", m1: 2 });
+      assert.equal([["a", "x", 3, 2], ["c", "y", 2, 1]], toArrays(dc));
+      assert.equal(["c"], dc.where({ d2: "y" }).getDimensionValues("d1"));
+    });
+
+    should("remove many cells at once with removeRows and deleteWhere", () => {
+      const removed = [{ d1: "b", d2: "x" }, { d1: "c", d2: "y" }];
+      const loop = dc.clone();
+      for (const row of removed) loop.removeRow(row);
+      const batch = dc.clone();
+      assert.equal(
+        2,
+        batch.removeRows(removed.concat([{ d1: "b", d2: "x" }, { d1: "z", d2: "x" }])),
+      );
+      const filtered = dc.clone();
+      assert.equal(2, filtered.deleteWhere({ $or: removed }));
+      for (const result of [batch, filtered]) {
+        assert.equal(toArrays(loop), toArrays(result));
+        assert.equal(loop.select(["d2"]).getRows(), result.select(["d2"]).getRows());
+        assert.equal(loop.getDimensionValues("d1"), result.getDimensionValues("d1"));
+      }
+      assert.equal([["a", "x", 1, 1], ["b", "y", 4, 1]], toArrays(batch));
+      assert.equal(
+        [{ d2: "x", m1: 1, n: 1 }, { d2: "y", m1: 4, n: 1 }],
+        batch.select(["d2"]).getRows(),
+      );
+      assert.equal(0, batch.removeRows([]));
+    });
+
+    should("setCell", () => {
+      dc.setCell({ d1: "a", d2: "x", m1: 10 });
+      dc.setCell({ d1: "d", d2: "z", m1: 5, n: 3 });
+      assert.equal(["a", "x", 10, 1], toArrays(dc)[0]);
+      assert.equal(["d", "z", 5, 3], toArrays(dc)[4]);
+      assert.equal({ d2: "x", m1: 12, n: 2 }, dc.select(["d2"]).getRows()[0]);
+      dc.addRow({ d1: "d", d2: "z", m1: 1 });
+      assert.equal(["d", "z", 6, 4], toArrays(dc)[4]);
+    });
+
+    should("update materializations and live views incrementally in setCell", () => {
+      const materialization = dc.materializations[0];
+      const view = dc.where({ d2: "y" }).select(["d2"]).live();
+      dc.setCell({ d1: "b", d2: "y", m1: 1, n: 5 });
+      dc.setCell({ d1: "d", d2: "y", m1: 2 });
+      assert.isTrue(materialization === dc.materializations[0]);
+      assert.equal(
+        [{ d2: "x", m1: 3, n: 2 }, { d2: "y", m1: 11, n: 6 }],
+        materialization.getRows(),
+      );
+      assert.equal([{ d2: "y", m1: 11, n: 6 }], view.getRows());
+
+      // Metrics whose aggregators can't be reversed rebuild the materializations once they're
+      // next used.
+      const maxDc = DataCube.fromRows(["d1", "d2"], ["m1"], rows, { aggregators: { m1: "max" } })
+        .materialize([["d2"]]);
+      const maxView = maxDc.select(["d2"]).live();
+      maxDc.setCell({ d1: "c", d2: "y", m1: 3 });
+      maxDc.setCell({ d1: "b", d2: "y", m1: 1 });
+      maxDc.setCell({ d1: "a", d2: "x", m1: 5 });
+      const expected = [{ d2: "x", m1: 5 }, { d2: "y", m1: 3 }];
+      assert.equal(expected, maxDc.materializations[0].getRows());
+      assert.equal(expected, maxView.getRows());
+    });
+
+    should("apply rows to stale materializations once", () => {
+      const createDc = () =>
+        DataCube.fromRows(["d1", "d2"], ["m1", "s"], [
+          { d1: "a", d2: "x", m1: 1, s: 1 },
+          { d1: "b", d2: "x", m1: 4, s: 2 },
+        ], { aggregators: { m1: "max" } }).materialize([["d2"]]);
+      // Lowering the highest value of a "max" metric makes the materializations stale.
+      const addDc = createDc();
+      addDc.setCell({ d1: "b", d2: "x", m1: 2 });
+      addDc.addRow({ d1: "a", d2: "x", m1: 3, s: 100 });
+      assert.equal([{ d2: "x", m1: 3, s: 103 }], addDc.materializations[0].getRows());
+      const mergeDc = createDc();
+      mergeDc.setCell({ d1: "b", d2: "x", m1: 2 });
+      mergeDc.mergeRow({ d1: "c", d2: "x", m1: 1, s: 10 });
+      assert.equal([{ d2: "x", m1: 2, s: 13 }], mergeDc.materializations[0].getRows());
+      // setCell can update the materializations of cubes which allow subtractRow incrementally, so
+      // they're made stale directly.
+      const subtractDc = DataCube.fromRows(["d1", "d2"], ["s"], [
+        { d1: "a", d2: "x", s: 1 },
+        { d1: "b", d2: "x", s: 2 },
+      ]).materialize([["d2"]]);
+      subtractDc.setCell({ d1: "b", d2: "x", s: 4 });
+      subtractDc._areMaterializationsStale = true;
+      subtractDc.subtractRow({ d1: "a", d2: "x", s: 1 });
+      assert.equal([{ d2: "x", s: 4 }], subtractDc.materializations[0].getRows());
+    });
+  });
+
+  context("subscriptions and live views", () => {
+    let dc;
+    // Waits for notifications, which are delivered in a microtask.
+    const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+    setup(() => {
+      dc = DataCube.fromRows(["d1", "d2"], ["m1"], [
+        { d1: "a", d2: "x", m1: 1 },
+        { d1: "b", d2: "y", m1: 2 },
+      ], { aggregators: { m1: "max" } });
+    });
+
+    should("notify listeners of changed and removed cells", async () => {
+      const events = [];
+      const unsubscribe = dc.subscribe((event) => events.push(event));
+      dc.addRow({ d1: "a", d2: "x", m1: 5 });
+      dc.addRow({ d1: "c", d2: "x", m1: 3 });
+      dc.addRow({ d1: "a", d2: "x", m1: 4 });
+      await nextTick();
+      assert.equal([{
+        changedRows: [{ d1: "a", d2: "x", m1: 5 }, { d1: "c", d2: "x", m1: 3 }],
+        removedRows: [],
+      }], events);
+
+      dc.addRow({ d1: "c", d2: "x", m1: 6 });
+      dc.deleteWhere({ d1: ["b", "c"] });
+      await nextTick();
+      assert.equal({
+        changedRows: [],
+        removedRows: [{ d1: "b", d2: "y", m1: 2 }, { d1: "c", d2: "x", m1: 6 }],
+      }, events[1]);
+
+      unsubscribe();
+      dc.addRow({ d1: "a", d2: "x", m1: 9 });
+      await nextTick();
+      assert.equal(2, events.length);
+    });
+
+    should("keep live views up to date", async () => {
+      const view = dc.where({ d2: "x" }).select(["d1"]).live();
+      assert.equal([{ d1: "a", m1: 1 }], view.getRows());
+      const events = [];
+      view.subscribe((event) => events.push(event));
+      dc.addRow({ d1: "a", d2: "x", m1: 7 });
+      dc.addRow({ d1: "b", d2: "x", m1: 2 });
+      dc.addRow({ d1: "c", d2: "y", m1: 8 });
+      assert.equal([{ d1: "a", m1: 7 }, { d1: "b", m1: 2 }], view.getRows());
+      await nextTick();
+      assert.equal([{ d1: "a", m1: 7 }, { d1: "b", m1: 2 }], events[0].changedRows);
+
+      // Changes which can't be applied incrementally recompute the view. Only the cells whose
+      // values differ are reported.
+      dc.removeRow({ d1: "a", d2: "x" });
+      assert.equal([{ d1: "b", m1: 2 }], view.getRows());
+      await nextTick();
+      assert.equal({ changedRows: [], removedRows: [{ d1: "a", m1: 7 }] }, events[1]);
+      dc.addRow({ d1: "c", d2: "x", m1: 3 });
+      dc.addRow({ d1: "b", d2: "y", m1: 5 });
+      dc.deleteWhere({ d2: "y" });
+      await nextTick();
+      assert.equal({ changedRows: [{ d1: "c", m1: 3 }], removedRows: [] }, events[2]);
+      dc.addRow({ d1: "b", d2: "z", m1: 9 });
+      dc.setCell({ d1: "b", d2: "x", m1: 1 });
+      await nextTick();
+      assert.equal({ changedRows: [{ d1: "b", m1: 1 }], removedRows: [] }, events[3]);
+
+      view.detach();
+      dc.addRow({ d1: "d", d2: "x", m1: 1 });
+      assert.equal([{ d1: "b", m1: 1 }, { d1: "c", m1: 3 }], view.getRows());
+    });
+
+    should("fill in lookup dimensions in live views", () => {
+      dc.addAttributeTable("d1", [{ d1: "a", group: "g1" }, { d1: "c", group: "g1" }]);
+      const view = dc.select(["group"]).where({ group: "g1" }).live();
+      dc.addRow({ d1: "c", d2: "y", m1: 4 });
+      dc.addRow({ d1: "b", d2: "y", m1: 10 });
+      assert.equal([{ group: "g1", m1: 4 }], view.getRows());
+    });
+
+    should("throw an error for DataCubes which weren't derived by where or select", () => {
+      assert.throwsError(() => dc.live());
+    });
+  });
+
+  context("getWritableStream", () => {
+    should("add rows and batches of rows, reporting progress", async () => {
+      const dc = new DataCube.DataCube(["d1"], ["m1"]);
+      const progress = [];
+      const stream = dc.getWritableStream({
+        progressInterval: 2,
+        onProgress: (count) => progress.push(count),
+      });
+      await ReadableStream.from([{ d1: "a", m1: 1 }, [{ d1: "b", m1: 2 }, { d1: "a", m1: 3 }]])
+        .pipeTo(stream);
+      assert.equal([{ d1: "a", m1: 4 }, { d1: "b", m1: 2 }], dc.getRows());
+      assert.equal([3, 3], progress);
+    });
+
+    should("ingest parsed CSV and NDJSON", async () => {
+      const csv = "d1,m1\na,1\nb,2\na,3\n";
+      const dc = new DataCube.DataCube(["d1"], ["m1"]);
+      await ReadableStream.from([new TextEncoder().encode(csv)])
+        .pipeThrough(new DataCube.CsvParserStream({ types: { m1: "number" } }))
+        .pipeTo(dc.getWritableStream());
+      await ReadableStream.from(['{"d1": "c", "m1": 5}\n'])
+        .pipeThrough(new DataCube.NdjsonParserStream())
+        .pipeTo(dc.getWritableStream());
+      assert.equal([{ d1: "a", m1: 4 }, { d1: "b", m1: 2 }, { d1: "c", m1: 5 }], dc.getRows());
+    });
+
+    should("surface errors to the caller", async () => {
+      const dc = new DataCube.DataCube(["d1"], ["m1"], { metricTypes: "bigint64" });
+      const error = await ReadableStream.from([[{ d1: "a", m1: 1 }, { d1: "b" }]])
+        .pipeTo(dc.getWritableStream()).then(() => null, (error) => error);
+      assert.isTrue(error.message.startsWith("Row 2 couldn't be added"));
+    });
+  });
+
+  context("appending to derived cubes", () => {
+    should("merge added rows into existing cells of select, where and clone results", () => {
+      const cubes = [dc2.select(["d1", "d2"]), dc2.where({ d2: ["b", "c"] }), dc2.clone()];
+      for (const cube of cubes) {
+        cube.addRow({ d1: "a", d2: "c", m1: 1 });
+        assert.equal([{ d1: "a", d2: "b", m1: 2 }, { d1: "a", d2: "c", m1: 4 }], cube.getRows());
+      }
+      assert.equal(2, dc2.count());
+    });
+
+    should("keep cells distinct when dimension indices differ in their digits", () => {
+      // With string keys, cells like [1, 23] and [12, 3] would need a separator to stay distinct.
+      const dc = new DataCube.DataCube(["d1", "d2"], ["m1"]);
+      for (let i = 0; i < 30; i++) dc.addRow({ d1: i, d2: i, m1: 1 });
+      const selected = dc.select(["d1", "d2"]);
+      selected.addRow({ d1: 1, d2: 23, m1: 1 });
+      selected.addRow({ d1: 12, d2: 3, m1: 1 });
+      selected.addRow({ d1: 1, d2: 23, m1: 1 });
+      assert.equal(32, selected.count());
+      assert.equal([{ d1: 1, d2: 23, m1: 2 }], selected.where({ d1: 1, d2: 23 }).getRows());
+    });
+  });
+
+  context("fromColumns and Arrow", () => {
+    should("build a datacube from arrays, typed arrays and dictionary-encoded columns", () => {
+      const dc = DataCube.fromColumns(["d1", "d2"], ["m1", "m2"], {
+        d1: { dictionary: ["unused", "a", "b"], indices: Uint8Array.from([1, 2, 1]) },
+        d2: ["x", "y", "x"],
+        m1: Float64Array.from([1, 2, 3]),
+        m2: BigInt64Array.from([4n, 5n, 6n]),
+      }, { aggregators: { m2: "max" } });
+      assert.equal(
+        [{ d1: "a", d2: "x", m1: 4, m2: 6 }, { d1: "b", d2: "y", m1: 2, m2: 5 }],
+        dc.getRows(),
+      );
+      assert.equal(["a", "b"], dc.getDimensionValues("d1"));
+      assert.equal(["a", "b"], dc.dictionaries[0].values);
+    });
+
+    should("feed sketch metrics from their columns", () => {
+      const dc = DataCube.fromColumns(["d1"], ["m1"], {
+        d1: ["a", "a", "b"],
+        m1: [1, 1, 1],
+        user: ["u1", "u2", "u1"],
+      }, { distinctCounts: { users: "user" } });
+      assert.equal([{ d1: "a", m1: 2, users: 2 }, { d1: "b", m1: 1, users: 1 }], dc.getRows());
+    });
+
+    should("throw on missing columns and columns of different lengths", () => {
+      assert.throwsError(() => DataCube.fromColumns(["d1"], ["m1"], { d1: ["a"] }));
+      assert.throwsError(() => DataCube.fromColumns(["d1"], ["m1"], { d1: ["a"], m1: [1, 2] }));
+    });
+
+    should("round-trip a datacube through Arrow", () => {
+      const options = {
+        metricTypes: { m1: "int32", m2: "bigint64", m3: "float64" },
+        derivedMetrics: { double: (row) => row.m3 * 2 },
+      };
+      const dc = DataCube.fromRows(["d1", "d2", "d3"], ["m1", "m2", "m3"], [
+        { d1: "a", d2: 1, d3: true, m1: 1, m2: 2, m3: 0.5 },
+        { d1: null, d2: null, d3: false, m1: 3, m2: 4, m3: 1.5 },
+        { d1: "b", d2: 2, d3: true, m1: 5, m2: 6, m3: 2.5 },
+      ], options);
+      const bytes = dc.toArrow({ batchSize: 2 });
+      const dcFromArrow = DataCube.fromArrow(dc.dimens, dc.metrics, bytes, options);
+      assert.equal(dc.getRows(), dcFromArrow.getRows());
+    });
+
+    should("export a select result", () => {
+      const bytes = dc2.select(["d2"]).toArrow();
+      const dcFromArrow = DataCube.fromArrow(["d2"], ["m1"], bytes.buffer);
+      assert.equal([{ d2: "b", m1: 2 }, { d2: "c", m1: 3 }], dcFromArrow.getRows());
+    });
+  });
+
   should("reduce dimensions when creating a datacube", () => {
     // DataCube is only using the d1 dimension, not d2.
     const dc = DataCube.fromRows(["d1"], ["m1"], rows2);
@@ -84,6 +1300,86 @@ context("datacube", () => {
     );
   });
 
+  context("dictionaries", () => {
+    should("only contain the values used by the cells of derived cubes", () => {
+      const dc = DataCube.fromRows(["d1", "d2"], ["m1"], [
+        { d1: "a", d2: "x", m1: 1 },
+        { d1: "b", d2: "y", m1: 2 },
+        { d1: "c", d2: "x", m1: 3 },
+      ]);
+      const filtered = dc.where({ d2: "x" });
+      assert.equal(["a", "c"], filtered.dictionaries[0].values);
+      assert.equal(["x"], filtered.getDimensionValues("d2"));
+      assert.equal(["x", "y"], dc.select(["d2"]).dictionaries[0].values);
+      filtered.addRow({ d1: "b", d2: "z", m1: 4 });
+      assert.equal(["a", "c", "b"], filtered.getDimensionValues("d1"));
+      assert.equal(["a", "b", "c"], dc.getDimensionValues("d1"));
+    });
+
+    should("widen the dimension index arrays as dictionaries grow", () => {
+      const rows = [];
+      for (let i = 0; i < 300; i++) rows.push({ d1: `v${i}`, d2: "x", m1: i });
+      const dc = DataCube.fromRows(["d1", "d2"], ["m1"], rows.slice(0, 256));
+      assert.equal(Uint8Array, dc.dimenColumns[0].arrayType);
+      for (const row of rows.slice(256)) dc.addRow(row);
+      assert.equal(Uint16Array, dc.dimenColumns[0].arrayType);
+      assert.equal(Uint8Array, dc.dimenColumns[1].arrayType);
+      assert.equal(rows, dc.getRows());
+      assert.equal([{ d1: "v299", d2: "x", m1: 299 }], dc.where({ d1: "v299" }).getRows());
+    });
+  });
+
+  context("exporters", () => {
+    const exported = DataCube.fromRows(["d1", "d2"], ["m1", "m2"], [
+      { d1: "a", d2: 1, m1: 1, m2: 2, user: "u1" },
+      { d1: "b", d2: 2, m1: 3, m2: 4, user: "u2" },
+      { d1: "a", d2: 2, m1: 5, m2: 6, user: "u1" },
+    ], {
+      distinctCounts: { users: "user" },
+      derivedMetrics: { ratio: (row) => row.m1 / row.m2 },
+    });
+    const readText = (stream) => new Response(stream).text();
+
+    should("export CSV which CsvParserStream can read", async () => {
+      const csv = await readText(exported.toCsv());
+      assert.equal(
+        "d1,d2,m1,m2,users,ratio\na,1,1,2,1,0.5\nb,2,3,4,1,0.75\na,2,5,6,1,0.8333333333333334\n",
+        csv,
+      );
+      const parser = new DataCube.CsvParserStream({ types: { d2: "number", m1: "number" } });
+      const rows = (await Array.fromAsync(new Blob([csv]).stream().pipeThrough(parser))).flat();
+      assert.equal(
+        exported.select(["d1", "d2"]).getRows().map(({ d1, d2, m1 }) => ({ d1, d2, m1 })),
+        rows.map(({ d1, d2, m1 }) => ({ d1, d2, m1 })),
+      );
+    });
+
+    should("export the chosen columns and rows, in order", async () => {
+      const options = { columns: ["m1", "d1"], sort: [{ key: "m1", descending: true }], limit: 2 };
+      assert.equal(
+        '{"m1":5,"d1":"a"}\n{"m1":3,"d1":"b"}\n',
+        await readText(exported.toNdjson(options)),
+      );
+      assert.equal("m1,d1\n3,b\n1,a\n", await readText(exported.toCsv({ ...options, offset: 1 })));
+      assert.throwsError(() => exported.toCsv({ columns: ["d3"] }));
+    });
+
+    should("export columnar JSON which fromColumns can read", async () => {
+      const json = JSON.parse(
+        await readText(exported.toColumnarJson({ dictionaryEncode: true, batchSize: 2 })),
+      );
+      assert.equal(["d1", "d2"], json.dimens);
+      assert.equal(["m1", "m2", "users", "ratio"], json.metrics);
+      assert.equal({ dictionary: ["a", "b"], indices: [0, 1, 0] }, json.columns.d1);
+      assert.equal([0.5, 0.75, 0.8333333333333334], json.columns.ratio);
+      const dc = DataCube.fromColumns(json.dimens, ["m1", "m2"], json.columns);
+      assert.equal(
+        exported.select(["d1"]).getRows().map(({ d1, m1, m2 }) => ({ d1, m1, m2 })),
+        dc.select(["d1"]).getRows(),
+      );
+    });
+  });
+
   context("writeToFile", () => {
     let tmpFolder, dcPath;
 
@@ -104,6 +1400,64 @@ context("datacube", () => {
       assert.equal(dc.getRows(), dcFromFile.getRows());
     });
 
+    should("be appendable once read", async () => {
+      await dc2.writeToFile(dcPath);
+      const dcFromFile = await DataCube.readFromFile(dcPath);
+      dcFromFile.addRow({ d1: "a", d2: "b", m1: 10 });
+      dcFromFile.addRow({ d1: "d", d2: "b", m1: 1 });
+      assert.equal(
+        [{ d1: "a", d2: "b", m1: 12 }, { d1: "a", d2: "c", m1: 3 }, { d1: "d", d2: "b", m1: 1 }],
+        dcFromFile.getRows(),
+      );
+    });
+
+    should("preserve aggregators", async () => {
+      const dc = DataCube.fromRows(["d1"], ["m1"], rows2, { aggregators: { m1: "max" } });
+      await dc.writeToFile(dcPath);
+      const dcFromFile = await DataCube.readFromFile(dcPath);
+      assert.equal([{ m1: 3 }], dcFromFile.select([]).getRows());
+    });
+
+    should("preserve metric types", async () => {
+      const dc = DataCube.fromRows(["d1", "d2"], ["m1", "m2", "m3"], [
+        { d1: "a", d2: "b", m1: 1.5, m2: 2 ** 40, m3: 3 },
+        { d1: "a", d2: "c", m1: 2.5, m2: 1, m3: 4 },
+      ], { metricTypes: { m1: "float32", m2: "bigint64", m3: "float64" } });
+      await dc.writeToFile(dcPath, { gzip: true });
+      const dcFromFile = await DataCube.readFromFile(dcPath, { gzip: true });
+      assert.equal(["float32", "bigint64", "float64"], dcFromFile.metricTypes);
+      assert.equal(dc.getRows(), dcFromFile.getRows());
+    });
+
+    should("read the format written before metric types were introduced", async () => {
+      await Deno.writeTextFile(
+        dcPath + ".json",
+        JSON.stringify({
+          dimens: ["d1"],
+          metrics: ["m1", "m2"],
+          count: 2,
+          dimenIndexToValue: ["a", "b"],
+        }),
+      );
+      await Deno.writeFile(dcPath + ".dimens.bin", new Uint8Array(new Uint32Array([0, 1]).buffer));
+      await Deno.writeFile(
+        dcPath + ".metrics.bin",
+        new Uint8Array(new Float32Array([1, 2, 3, 4]).buffer),
+      );
+      const dcFromFile = await DataCube.readFromFile(dcPath);
+      assert.equal([{ d1: "a", m1: 1, m2: 2 }, { d1: "b", m1: 3, m2: 4 }], dcFromFile.getRows());
+    });
+
+    should("round trip dimensions with different index types", async () => {
+      const rows = [];
+      for (let i = 0; i < 300; i++) rows.push({ d1: i, d2: i % 2 == 0, m1: i });
+      const wide = DataCube.fromRows(["d1", "d2"], ["m1"], rows);
+      await wide.writeToFile(dcPath);
+      const dcFromFile = await DataCube.readFromFile(dcPath);
+      assert.equal(Uint16Array, dcFromFile.dimenColumns[0].arrayType);
+      assert.equal(rows, dcFromFile.getRows());
+    });
+
     should("as gzip", async () => {
       await dc.writeToFile(dcPath, { gzip: true });
 
@@ -115,11 +1469,148 @@ context("datacube", () => {
       assert.equal(dc.getRows(), dcFromFile.getRows());
     });
 
+    should("as a single file", async () => {
+      const dc = DataCube.fromRows(["d1", "d2"], ["m1", "m2"], [
+        { d1: "a", d2: "b", m1: 1, m2: 2 ** 40, user: "u1" },
+        { d1: "a", d2: "c", m1: 2, m2: 1, user: "u2" },
+        { d1: "b", d2: "c", m1: 3, m2: 1, user: "u1" },
+      ], { metricTypes: { m2: "bigint64" }, distinctCounts: { users: "user" } });
+      dc.materialize([["d1"]]);
+      for (const gzip of [false, true]) {
+        await dc.writeToFile(dcPath, { singleFile: true, gzip });
+        assert.isFalse(await fs.exists(dcPath + ".json"));
+        const dcFromFile = await DataCube.readFromFile(dcPath, { singleFile: true });
+        assert.equal(dc.getRows(), dcFromFile.getRows());
+        assert.equal(dc.select(["d1"]).getRows(), dcFromFile.select(["d1"]).getRows());
+        assert.equal(1, dcFromFile.materializations.length);
+      }
+    });
+
+    should("load only the requested metrics from a single file", async () => {
+      await dc2.writeToFile(dcPath, { singleFile: true });
+      const file = await DataCube.openFile(dcPath);
+      assert.equal(["d1", "d2"], file.dimens);
+      assert.equal(["m1"], file.metrics);
+      const dimensOnly = await file.read({ metrics: [] });
+      assert.equal([{ d1: "a" }], dimensOnly.select(["d1"]).getRows());
+      const message = await file.read({ metrics: ["m2"] }).catch((error) => error.message);
+      assert.isTrue(message.includes("[m2]"));
+    });
+
+    should("fetch each chunk of a single file only once across reads", async () => {
+      await dc2.writeToFile(dcPath, { singleFile: true });
+      const file = await DataCube.openFile(dcPath);
+      const fetchedChunks = [];
+      const readChunk = file._reader.readChunk.bind(file._reader);
+      file._reader.readChunk = (index) => {
+        fetchedChunks.push(index);
+        return readChunk(index);
+      };
+      const chunks = file.manifest.chunks;
+      await file.read({ metrics: [] });
+      assert.equal(chunks.dimens, fetchedChunks);
+      const withMetric = await file.read({ metrics: ["m1"] });
+      assert.equal(chunks.dimens.concat(chunks.metrics.m1), fetchedChunks);
+      assert.equal(dc2.getRows(), withMetric.getRows());
+      withMetric.setCell({ d1: "a", d2: "b", m1: 100 });
+      assert.equal(dc2.getRows(), (await file.read({ metrics: ["m1"] })).getRows());
+      assert.equal(chunks.dimens.concat(chunks.metrics.m1), fetchedChunks);
+    });
+
+    should("report a truncated single file", async () => {
+      await dc.writeToFile(dcPath, { singleFile: true });
+      const bytes = await Deno.readFile(dcPath + ".datacube");
+      await Deno.writeFile(dcPath + ".datacube", bytes.subarray(0, bytes.length - 2));
+      const message = await DataCube.readFromFile(dcPath, { singleFile: true })
+        .catch((error) => error.message);
+      assert.isTrue(message.includes("is truncated"));
+    });
+
     teardown(async () => {
       await Deno.remove(tmpFolder, { recursive: true });
     });
   });
 
+  context("serialize and deserialize", () => {
+    // Returns functions for serialize and deserialize which write and read the parts of a datacube
+    // in `parts`, a map of part name => bytes.
+    const inMemoryStreams = (parts) => ({
+      writableStreams: (name) => {
+        const blobs = [];
+        return new WritableStream({
+          write: (chunk) => blobs.push(new Blob([chunk])),
+          close: async () => parts.set(name, new Uint8Array(await new Blob(blobs).arrayBuffer())),
+        });
+      },
+      readableStreams: (name) => new Blob([parts.get(name)]).stream(),
+    });
+
+    should("round trip a datacube and its materializations through streams", async () => {
+      const dc = DataCube.fromRows(["d1", "d2"], ["m1"], [
+        { d1: "a", d2: "b", m1: 1, user: "u1" },
+        { d1: "a", d2: "c", m1: 2, user: "u2" },
+      ], { distinctCounts: { users: "user" } });
+      dc.materialize([["d1"]]);
+      for (const options of [{}, { gzip: true }, { singleFile: true, gzip: true }]) {
+        const parts = new Map();
+        const { writableStreams, readableStreams } = inMemoryStreams(parts);
+        await dc.serialize(writableStreams, options);
+        const deserialized = await DataCube.deserialize(readableStreams, options);
+        assert.equal(dc.getRows(), deserialized.getRows());
+        assert.equal(1, deserialized.materializations.length);
+      }
+    });
+
+    should("append to a deserialized datacube in pages of the default size", async () => {
+      const dc = DataCube.fromRows(["d1"], ["m1"], [{ d1: "a", m1: 1 }, { d1: "b", m1: 2 }]);
+      for (const options of [{}, { singleFile: true }]) {
+        const parts = new Map();
+        const { writableStreams, readableStreams } = inMemoryStreams(parts);
+        await dc.serialize(writableStreams, options);
+        const deserialized = await DataCube.deserialize(readableStreams, options);
+        deserialized.addRow({ d1: "c", m1: 3 });
+        const pageLengths = (column) => column.pages.map((page) => page.length);
+        assert.equal([2, 100 * 1024], pageLengths(deserialized.metricsData[0]));
+        assert.equal([2, 100 * 1024], pageLengths(deserialized.dimenColumns[0]));
+        const expected = dc.getRows().concat([{ d1: "c", m1: 3 }]);
+        assert.equal(expected, deserialized.getRows());
+        await deserialized.serialize(writableStreams, options);
+        assert.equal(expected, (await DataCube.deserialize(readableStreams, options)).getRows());
+      }
+    });
+
+    should("name the parts after the files written by writeToFile", async () => {
+      const parts = new Map();
+      const dc = DataCube.fromRows(["d1"], ["m1"], rows).materialize([[]]);
+      await dc.serialize(inMemoryStreams(parts).writableStreams, { gzip: true });
+      assert.equal(
+        [
+          "json.gz",
+          "dimens.bin.gz",
+          "metrics.bin.gz",
+          "materialized0.json.gz",
+          "materialized0.dimens.bin.gz",
+          "materialized0.metrics.bin.gz",
+        ],
+        Array.from(parts.keys()),
+      );
+    });
+
+    should("write to and read from a storage adapter", async () => {
+      const tmpFolder = await Deno.makeTempDir();
+      try {
+        const storage = DataCube.nodeFileStorage();
+        await dc2.writeToStorage(storage, tmpFolder + "/dc", { singleFile: true });
+        const dcFromStorage = await DataCube.readFromStorage(storage, tmpFolder + "/dc", {
+          singleFile: true,
+        });
+        assert.equal(dc2.getRows(), dcFromStorage.getRows());
+      } finally {
+        await Deno.remove(tmpFolder, { recursive: true });
+      }
+    });
+  });
+
   should("aggregateTailValues", () => {
     const resultDc = dc.aggregateTailValues(
       "d1",
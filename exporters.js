@@ -0,0 +1,167 @@
+//
+// ReadableStreams which export the rows of a DataCube as CSV, newline-delimited JSON, or columnar
+// JSON, e.g. for downloading the result of a query:
+//   const blob = await new Response(dc.select(["country"]).toCsv()).blob();
+//
+// The streams produce UTF-8 bytes, a batch of rows at a time, as they're read. The values are read
+// from the DataCube's columns as each batch is produced, so exporting a large DataCube doesn't
+// create an object per row, or hold the whole output in memory.
+//
+// The exporters read from a table, which DataCube builds: `{ columns, length }`, where `length` is
+// the number of rows, and `columns` is a list of `{ name, isDimen, get }`. `get(i)` returns the
+// column's value in row i. Dimension columns also have `dictionary`, an array of the dimension's
+// values, and `getIndex(i)`, which returns the index of row i's value in `dictionary`.
+
+const QUOTE_STYLES = ["needed", "all", "strings"];
+
+// Returns a ReadableStream of the UTF-8 bytes of the strings produced by `chunks`, an iterator.
+function createTextStream(chunks) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    pull(controller) {
+      const { value, done } = chunks.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(encoder.encode(value));
+      }
+    },
+    cancel() {
+      chunks.return();
+    },
+  });
+}
+
+// Returns the JSON representation of a value. BigInts are written as numbers, with all of their
+// digits, and values which JSON can't represent, like NaN, are null.
+function toJson(value) {
+  if (typeof value == "bigint") return String(value);
+  return JSON.stringify(value) ?? "null";
+}
+
+// Yields the ranges of the rows of `table`, [start, end), in batches of `batchSize` rows.
+function* getBatches(table, batchSize) {
+  for (let start = 0; start < table.length; start += batchSize) {
+    yield [start, Math.min(start + batchSize, table.length)];
+  }
+}
+
+// Returns the batchSize option, validated.
+function getBatchSize(options) {
+  const batchSize = options?.batchSize ?? 1000;
+  if (!(batchSize >= 1)) {
+    throw new Error(`batchSize should be at least 1, but was ${batchSize}.`);
+  }
+  return batchSize;
+}
+
+// Returns a ReadableStream of the rows of `table` as CSV (RFC 4180), which CsvParserStream can
+// read. Dates are written as ISO 8601 strings.
+// - options: optional.
+//   - delimiter: the character which separates fields. Defaults to ",".
+//   - header: whether to write a line with the names of the columns first. Defaults to true.
+//   - quote: which fields are enclosed in double quotes. One of "needed" (the default), for fields
+//     which contain the delimiter, a quote or a line break; "all"; or "strings", for every field
+//     whose value is a string, including the header. Quotes within fields are escaped as "".
+//   - lineEnding: the string which ends each line. Defaults to "\n".
+//   - nullValue: the field written for null values. Defaults to "".
+//   - batchSize: the number of rows in each chunk of the stream. Defaults to 1000.
+export function createCsvStream(table, options) {
+  const delimiter = options?.delimiter ?? ",";
+  if (delimiter.length != 1 || /["\r\n]/.test(delimiter)) {
+    throw new Error(
+      `The delimiter should be a single character other than a quote or a line break, but was ` +
+        `${JSON.stringify(delimiter)}.`,
+    );
+  }
+  const quote = options?.quote || "needed";
+  if (!QUOTE_STYLES.includes(quote)) {
+    throw new Error(`Unknown quote style "${quote}". Valid styles: [${QUOTE_STYLES}].`);
+  }
+  const lineEnding = options?.lineEnding ?? "\n";
+  const nullValue = options?.nullValue ?? "";
+  const batchSize = getBatchSize(options);
+
+  const quoteField = (s) => `"${s.replaceAll('"', '""')}"`;
+  const formatField = (value) => {
+    if (value == null) return quote == "all" ? quoteField(nullValue) : nullValue;
+    const s = value instanceof Date ? value.toISOString() : String(value);
+    const isQuoted = quote == "all" ||
+      (quote == "strings" && (typeof value == "string" || value instanceof Date)) ||
+      s.includes(delimiter) || /["\r\n]/.test(s);
+    return isQuoted ? quoteField(s) : s;
+  };
+
+  function* generate() {
+    const columns = table.columns;
+    if (options?.header ?? true) {
+      yield columns.map((column) => formatField(column.name)).join(delimiter) + lineEnding;
+    }
+    for (const [start, end] of getBatches(table, batchSize)) {
+      let text = "";
+      for (let i = start; i < end; i++) {
+        text += columns.map((column) => formatField(column.get(i))).join(delimiter) + lineEnding;
+      }
+      yield text;
+    }
+  }
+  return createTextStream(generate());
+}
+
+// Returns a ReadableStream of the rows of `table` as newline-delimited JSON: one JSON object per
+// line, which NdjsonParserStream can read.
+// - options: optional.
+//   - batchSize: the number of rows in each chunk of the stream. Defaults to 1000.
+export function createNdjsonStream(table, options) {
+  const batchSize = getBatchSize(options);
+  function* generate() {
+    const columns = table.columns;
+    // The keys of the objects, e.g. `"country":`, which are the same for every row.
+    const keys = columns.map((column) => JSON.stringify(column.name) + ":");
+    for (const [start, end] of getBatches(table, batchSize)) {
+      let text = "";
+      for (let i = start; i < end; i++) {
+        text += "{" + columns.map((column, c) => keys[c] + toJson(column.get(i))).join(",") + "}\n";
+      }
+      yield text;
+    }
+  }
+  return createTextStream(generate());
+}
+
+// Returns a ReadableStream of `table` as a JSON object with a property per column, rather than an
+// object per row: `{ dimens, metrics, columns }`, where `dimens` and `metrics` are the names of the
+// dimension and metric columns, and `columns` is a map of column name => array of values. The
+// columns can be passed to DataCube.fromColumns.
+// - options: optional.
+//   - dictionaryEncode: whether to write dimension columns as `{ dictionary, indices }`, where
+//     `dictionary` is an array of the dimension's values and `indices` is an array of the index of
+//     each row's value in `dictionary`. This is much smaller when values repeat. Defaults to false.
+//   - batchSize: the number of values in each chunk of the stream. Defaults to 1000.
+export function createColumnarJsonStream(table, options) {
+  const batchSize = getBatchSize(options);
+  function* generate() {
+    const columns = table.columns;
+    const names = (isDimen) =>
+      columns.filter((column) => column.isDimen == isDimen).map((column) => column.name);
+    yield `{"dimens":${JSON.stringify(names(true))},"metrics":${JSON.stringify(names(false))},` +
+      `"columns":{`;
+    for (const [c, column] of columns.entries()) {
+      const isEncoded = column.isDimen && options?.dictionaryEncode;
+      yield (c == 0 ? "" : ",") + JSON.stringify(column.name) + ":" +
+        (isEncoded
+          ? `{"dictionary":[${column.dictionary.map(toJson).join(",")}],"indices":[`
+          : "[");
+      for (const [start, end] of getBatches(table, batchSize)) {
+        const values = [];
+        for (let i = start; i < end; i++) {
+          values.push(isEncoded ? column.getIndex(i) : toJson(column.get(i)));
+        }
+        yield (start == 0 ? "" : ",") + values.join(",");
+      }
+      yield isEncoded ? "]}" : "]";
+    }
+    yield "}}";
+  }
+  return createTextStream(generate());
+}
@@ -0,0 +1,110 @@
+import * as shoulda from "@philc/shoulda";
+const { assert, context, should } = shoulda;
+
+import { createColumnarJsonStream, createCsvStream, createNdjsonStream } from "./exporters.js";
+
+// Returns a table for the exporters with the given columns, each a map of name => array of values.
+// Columns named "d..." are dimensions.
+function createTable(columns) {
+  const entries = Object.entries(columns);
+  return {
+    length: entries[0][1].length,
+    columns: entries.map(([name, values]) => {
+      const dictionary = Array.from(new Set(values));
+      return {
+        name,
+        isDimen: name.startsWith("d"),
+        dictionary,
+        get: (i) => values[i],
+        getIndex: (i) => dictionary.indexOf(values[i]),
+      };
+    }),
+  };
+}
+
+// Returns the text of a stream of UTF-8 bytes, and the number of chunks it had.
+async function readStream(stream) {
+  let text = "";
+  let chunkCount = 0;
+  const decoder = new TextDecoder();
+  for await (const chunk of stream) {
+    text += decoder.decode(chunk, { stream: true });
+    chunkCount++;
+  }
+  return [text, chunkCount];
+}
+
+context("exporters", () => {
+  const table = createTable({
+    d1: ["a", 'say "hi"', "x,y", null],
+    m1: [1, 2.5, 10n, NaN],
+  });
+
+  context("csv", () => {
+    should("quote the fields which need it", async () => {
+      const [text] = await readStream(createCsvStream(table));
+      assert.equal('d1,m1\na,1\n"say ""hi""",2.5\n"x,y",10\n,NaN\n', text);
+    });
+
+    should("quote every field, or every string", async () => {
+      const [all] = await readStream(createCsvStream(table, { quote: "all", header: false }));
+      assert.equal('"a","1"\n"say ""hi""","2.5"\n"x,y","10"\n"","NaN"\n', all);
+      const [strings] = await readStream(createCsvStream(table, { quote: "strings" }));
+      assert.equal('"d1","m1"\n"a",1\n"say ""hi""",2.5\n"x,y",10\n,NaN\n', strings);
+    });
+
+    should("use the delimiter, line ending and null value", async () => {
+      const options = { delimiter: ";", lineEnding: "\r\n", nullValue: "NULL" };
+      const [text] = await readStream(createCsvStream(table, options));
+      assert.equal('d1;m1\r\na;1\r\n"say ""hi""";2.5\r\nx,y;10\r\nNULL;NaN\r\n', text);
+    });
+
+    should("produce a chunk per batch of rows", async () => {
+      const [_, chunkCount] = await readStream(createCsvStream(table, { batchSize: 3 }));
+      // The header, and two batches.
+      assert.equal(3, chunkCount);
+    });
+
+    should("reject invalid options", () => {
+      assert.throwsError(() => createCsvStream(table, { delimiter: '"' }));
+      assert.throwsError(() => createCsvStream(table, { quote: "some" }));
+      assert.throwsError(() => createCsvStream(table, { batchSize: 0 }));
+    });
+  });
+
+  should("export newline-delimited JSON", async () => {
+    const [text] = await readStream(createNdjsonStream(table, { batchSize: 2 }));
+    assert.equal(
+      '{"d1":"a","m1":1}\n{"d1":"say \\"hi\\"","m1":2.5}\n{"d1":"x,y","m1":10}\n' +
+        '{"d1":null,"m1":null}\n',
+      text,
+    );
+  });
+
+  should("export columnar JSON", async () => {
+    const [text] = await readStream(createColumnarJsonStream(table, { batchSize: 3 }));
+    assert.equal(
+      {
+        dimens: ["d1"],
+        metrics: ["m1"],
+        columns: { d1: ["a", 'say "hi"', "x,y", null], m1: [1, 2.5, 10, null] },
+      },
+      JSON.parse(text),
+    );
+    const [encoded] = await readStream(createColumnarJsonStream(table, { dictionaryEncode: true }));
+    assert.equal(
+      { dictionary: ["a", 'say "hi"', "x,y", null], indices: [0, 1, 2, 3] },
+      JSON.parse(encoded).columns.d1,
+    );
+  });
+
+  should("export an empty table", async () => {
+    const empty = createTable({ d1: [] });
+    assert.equal(["d1\n", 1], await readStream(createCsvStream(empty)));
+    assert.equal(["", 0], await readStream(createNdjsonStream(empty)));
+    assert.equal(
+      { dimens: ["d1"], metrics: [], columns: { d1: [] } },
+      JSON.parse((await readStream(createColumnarJsonStream(empty)))[0]),
+    );
+  });
+});
@@ -0,0 +1,150 @@
+//
+// HyperLogLog sketches estimate the number of distinct values in a set using a small, fixed amount
+// of memory. Two sketches can be merged into a sketch of the union of their sets, which is what
+// makes them suitable for distinct-count metrics in a DataCube: the sketches of cells can be merged
+// when cells are collapsed by `select`, whereas distinct counts can't be summed.
+//
+// See Flajolet et al., "HyperLogLog: the analysis of a near-optimal cardinality estimation
+// algorithm" (2007).
+
+// Returns a 32 bit hash of the string representation of `value`. Different seeds produce
+// independent hashes.
+export function hashValue(value, seed) {
+  const str = typeof value == "string" ? value : String(value);
+  let h = seed ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 0x5bd1e995);
+    h ^= h >>> 15;
+  }
+  // The finalization step of MurmurHash3, which mixes the bits of the hash.
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// An array of HyperLogLog sketches, indexed by row index. Each sketch is 2^precision one-byte
+// registers, and its standard error is about 1.04 / sqrt(2^precision), e.g. 1.6% for precision 12.
+// The registers of a sketch are only allocated once a value is added or merged into it, so rows
+// whose sketches are empty take no memory.
+export class HyperLogLogColumn {
+  // - precision: the number of bits used to select a register; between 4 and 16.
+  constructor(precision) {
+    if (!(precision >= 4 && precision <= 16)) {
+      throw new Error(`HyperLogLog precision should be between 4 and 16, but was ${precision}.`);
+    }
+    this.precision = precision;
+    this.registerCount = 1 << precision;
+    // The registers of each sketch, or null for empty sketches.
+    this.sketches = [];
+  }
+
+  get length() {
+    return this.sketches.length;
+  }
+
+  // Grows the column so that it has a sketch at `rowIndex`.
+  _grow(rowIndex) {
+    while (this.sketches.length <= rowIndex) this.sketches.push(null);
+  }
+
+  // Returns the registers of the sketch at `rowIndex`, allocating them if necessary.
+  getRegisters(rowIndex) {
+    this._grow(rowIndex);
+    return this.sketches[rowIndex] ??= new Uint8Array(this.registerCount);
+  }
+
+  // Adds `value` to the sketch at `rowIndex`. Null values are ignored, although the column still
+  // grows to include `rowIndex`.
+  add(rowIndex, value) {
+    if (value == null) {
+      this._grow(rowIndex);
+      return;
+    }
+    const registers = this.getRegisters(rowIndex);
+    // Two independent hashes are used: one to select the register, and one to compute the rank,
+    // which gives 32 bits for the rank regardless of the precision.
+    const register = hashValue(value, 0) >>> (32 - this.precision);
+    const rank = Math.clz32(hashValue(value, 0x9e3779b9)) + 1;
+    if (rank > registers[register]) registers[register] = rank;
+  }
+
+  // Merges the sketch at `srcRowIndex` of `srcColumn` into the sketch at `rowIndex`.
+  merge(rowIndex, srcColumn, srcRowIndex) {
+    if (srcColumn.precision != this.precision) {
+      throw new Error(
+        `Can't merge HyperLogLog sketches with different precisions: ` +
+          `${this.precision} and ${srcColumn.precision}.`,
+      );
+    }
+    const srcRegisters = srcColumn.sketches[srcRowIndex];
+    if (srcRegisters == null) {
+      this._grow(rowIndex);
+      return;
+    }
+    const registers = this.getRegisters(rowIndex);
+    for (let i = 0; i < registers.length; i++) {
+      if (srcRegisters[i] > registers[i]) registers[i] = srcRegisters[i];
+    }
+  }
+
+  // Returns the estimated number of distinct values added to the sketch at `rowIndex`.
+  estimate(rowIndex) {
+    const registers = this.sketches[rowIndex];
+    if (registers == null) return 0;
+    const m = this.registerCount;
+    let sum = 0;
+    let zeros = 0;
+    for (let i = 0; i < m; i++) {
+      sum += 2 ** -registers[i];
+      if (registers[i] == 0) zeros++;
+    }
+    const alpha = m == 16
+      ? 0.673
+      : (m == 32 ? 0.697 : (m == 64 ? 0.709 : 0.7213 / (1 + 1.079 / m)));
+    const estimate = alpha * m * m / sum;
+    // For small cardinalities, linear counting is more accurate.
+    if (estimate <= 2.5 * m && zeros > 0) {
+      return Math.round(m * Math.log(m / zeros));
+    }
+    return Math.round(estimate);
+  }
+
+  // Returns an empty column with the same precision.
+  createEmpty() {
+    return new HyperLogLogColumn(this.precision);
+  }
+
+  clone() {
+    const dest = this.createEmpty();
+    dest.sketches = this.sketches.map((registers) => registers?.slice(0) ?? null);
+    return dest;
+  }
+
+  // Returns the registers of every sketch in the column, concatenated. Empty sketches are zeros.
+  toBytes() {
+    const bytes = new Uint8Array(this.length * this.registerCount);
+    for (const [rowIndex, registers] of this.sketches.entries()) {
+      if (registers != null) bytes.set(registers, rowIndex * this.registerCount);
+    }
+    return bytes;
+  }
+
+  // Returns a new column with the same precision, containing the sketches in `bytes`, which were
+  // returned by toBytes.
+  fromBytes(bytes) {
+    const column = this.createEmpty();
+    const count = bytes.length / column.registerCount;
+    column._grow(count - 1);
+    for (let rowIndex = 0; rowIndex < count; rowIndex++) {
+      const offset = rowIndex * column.registerCount;
+      const registers = bytes.subarray(offset, offset + column.registerCount);
+      if (registers.some((register) => register != 0)) {
+        column.sketches[rowIndex] = registers.slice();
+      }
+    }
+    return column;
+  }
+}
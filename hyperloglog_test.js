@@ -0,0 +1,71 @@
+import * as shoulda from "@philc/shoulda";
+const { assert, context, should } = shoulda;
+
+import { HyperLogLogColumn } from "./hyperloglog.js";
+
+context("hyperloglog", () => {
+  const assertWithinError = (expected, actual, error) => {
+    assert.isTrue(Math.abs(actual - expected) <= expected * error);
+  };
+
+  should("estimate small cardinalities exactly", () => {
+    const column = new HyperLogLogColumn(12);
+    for (let i = 0; i < 100; i++) {
+      column.add(0, `value-${i % 20}`);
+    }
+    assert.equal(20, column.estimate(0));
+  });
+
+  should("estimate large cardinalities within the expected error", () => {
+    const column = new HyperLogLogColumn(12);
+    for (let i = 0; i < 100_000; i++) {
+      column.add(0, i);
+    }
+    assertWithinError(100_000, column.estimate(0), 0.05);
+  });
+
+  should("merge sketches into a sketch of the union", () => {
+    const column = new HyperLogLogColumn(10);
+    for (let i = 0; i < 5000; i++) {
+      column.add(0, i);
+      column.add(1, i + 2500);
+    }
+    column.merge(2, column, 0);
+    column.merge(2, column, 1);
+    assertWithinError(7500, column.estimate(2), 0.1);
+  });
+
+  should("throw an error when merging sketches with different precisions", () => {
+    assert.throwsError(() => new HyperLogLogColumn(10).merge(0, new HyperLogLogColumn(12), 0));
+  });
+
+  should("round trip through bytes", () => {
+    const column = new HyperLogLogColumn(8);
+    column.add(0, "a");
+    column.add(1, "b");
+    column.add(1, "c");
+    const copy = column.fromBytes(column.toBytes());
+    assert.equal([1, 2], [copy.estimate(0), copy.estimate(1)]);
+  });
+
+  should("only allocate registers for sketches which have values", () => {
+    const column = new HyperLogLogColumn(16);
+    assert.equal(0, column.estimate(5));
+    assert.equal(0, column.length);
+    column.add(3, null);
+    column.add(1, "a");
+    column.merge(2, column, 0);
+    assert.equal(4, column.length);
+    assert.equal(
+      [false, true, false, false],
+      column.sketches.map((registers) => registers != null),
+    );
+    const copy = column.fromBytes(column.toBytes());
+    assert.equal([0, 1, 0, 0], [0, 1, 2, 3].map((rowIndex) => copy.estimate(rowIndex)));
+    assert.equal([false, true, false, false], copy.sketches.map((registers) => registers != null));
+  });
+
+  should("throw an error for an invalid precision", () => {
+    assert.throwsError(() => new HyperLogLogColumn(20));
+  });
+});
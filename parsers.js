@@ -0,0 +1,186 @@
+//
+// TransformStreams which parse CSV and newline-delimited JSON into rows, for ingesting data into a
+// DataCube, e.g.:
+//   const body = (await fetch(url)).body;
+//   await body.pipeThrough(new CsvParserStream()).pipeTo(dc.getWritableStream());
+//
+// The input chunks can be bytes (UTF-8) or strings. Each output chunk is an array of the rows
+// parsed from an input chunk, which is the batch format that DataCube.getWritableStream accepts.
+// Rows can span input chunks. Malformed input errors the stream, and the error message has the
+// line number.
+
+// Returns a function which decodes chunks of bytes or strings into strings. Multi-byte characters
+// which span chunks are decoded once their last byte arrives. Calling it without a chunk ends the
+// input, and returns the bytes of an incomplete character at its end, if any, as U+FFFD.
+function makeDecoder() {
+  const decoder = new TextDecoder();
+  return (chunk) => {
+    if (chunk == null) return decoder.decode();
+    return typeof chunk == "string" ? chunk : decoder.decode(chunk, { stream: true });
+  };
+}
+
+// Parses CSV (RFC 4180) into row objects. Fields can be quoted with double quotes, in which case
+// they can contain delimiters, newlines, and quotes escaped as "". Lines can end with \n or \r\n.
+// Blank lines are skipped.
+export class CsvParserStream extends TransformStream {
+  // - options: optional.
+  //   - delimiter: the character which separates fields. Defaults to ",".
+  //   - columns: the names of the columns. If omitted, they're read from the first line.
+  //   - types: a map of column => type, where type is "number" or a function which takes the
+  //     field's string and returns its value. Columns which aren't in the map are strings. Empty
+  //     "number" fields are null, and "number" fields which aren't numbers error the stream.
+  constructor(options) {
+    const delimiter = options?.delimiter ?? ",";
+    const types = options?.types || {};
+    const decode = makeDecoder();
+    let columns = options?.columns;
+    let converters = null;
+    // The parser's state, which is carried between chunks.
+    let fields = [];
+    let field = "";
+    let inQuotes = false;
+    // Whether the previous character was a quote inside a quoted field, which either ends the field
+    // or escapes a quote, depending on the next character.
+    let afterQuote = false;
+    let lineNumber = 1;
+    // The line which the current row started on.
+    let rowLineNumber = 1;
+
+    const parseRow = () => {
+      if (columns == null) {
+        columns = fields;
+        return null;
+      }
+      if (fields.length != columns.length) {
+        throw new Error(
+          `Line ${rowLineNumber} has ${fields.length} fields, but there are ${columns.length} ` +
+            `columns: [${columns}].`,
+        );
+      }
+      converters ||= columns.map((column) => {
+        const type = types[column];
+        if (type == "number") {
+          return (s) => {
+            if (s == "") return null;
+            const value = Number(s);
+            if (Number.isNaN(value)) {
+              throw new Error(`Line ${rowLineNumber}, column ${column}: "${s}" isn't a number.`);
+            }
+            return value;
+          };
+        }
+        return typeof type == "function" ? type : null;
+      });
+      const row = {};
+      for (let i = 0; i < columns.length; i++) {
+        row[columns[i]] = converters[i] ? converters[i](fields[i]) : fields[i];
+      }
+      return row;
+    };
+
+    // Ends the current row, and returns it, or null for blank lines and the header line.
+    const endRow = () => {
+      fields.push(field);
+      field = "";
+      const isBlank = fields.length == 1 && fields[0] == "";
+      const row = isBlank ? null : parseRow();
+      fields = [];
+      rowLineNumber = lineNumber;
+      return row;
+    };
+
+    const parse = (text, rows) => {
+      for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (inQuotes) {
+          if (afterQuote) {
+            afterQuote = false;
+            if (c == '"') {
+              field += c;
+              continue;
+            }
+            inQuotes = false;
+          } else {
+            if (c == '"') {
+              afterQuote = true;
+            } else {
+              if (c == "\n") lineNumber++;
+              field += c;
+            }
+            continue;
+          }
+        }
+        if (c == delimiter) {
+          fields.push(field);
+          field = "";
+        } else if (c == "\n") {
+          lineNumber++;
+          const row = endRow();
+          if (row) rows.push(row);
+        } else if (c == '"' && field == "") {
+          inQuotes = true;
+        } else if (c != "\r") {
+          field += c;
+        }
+      }
+    };
+
+    super({
+      transform(chunk, controller) {
+        const rows = [];
+        parse(decode(chunk), rows);
+        if (rows.length > 0) controller.enqueue(rows);
+      },
+      flush(controller) {
+        const rows = [];
+        parse(decode(), rows);
+        if (inQuotes && !afterQuote) {
+          throw new Error(`The quoted field starting on line ${rowLineNumber} isn't closed.`);
+        }
+        inQuotes = false;
+        if (field != "" || fields.length > 0) {
+          const row = endRow();
+          if (row) rows.push(row);
+        }
+        if (rows.length > 0) controller.enqueue(rows);
+      },
+    });
+  }
+}
+
+// Parses newline-delimited JSON (one JSON object per line) into row objects. Blank lines are
+// skipped.
+export class NdjsonParserStream extends TransformStream {
+  constructor() {
+    const decode = makeDecoder();
+    // The text of the last line, which may continue in the next chunk.
+    let partialLine = "";
+    let lineNumber = 0;
+
+    const parseLine = (line, rows) => {
+      lineNumber++;
+      if (line.trim() == "") return;
+      try {
+        rows.push(JSON.parse(line));
+      } catch (error) {
+        throw new Error(`Line ${lineNumber} isn't valid JSON: ${error.message}`, { cause: error });
+      }
+    };
+
+    super({
+      transform(chunk, controller) {
+        const lines = (partialLine + decode(chunk)).split("\n");
+        partialLine = lines.pop();
+        const rows = [];
+        for (const line of lines) parseLine(line, rows);
+        if (rows.length > 0) controller.enqueue(rows);
+      },
+      flush(controller) {
+        const rows = [];
+        parseLine(partialLine + decode(), rows);
+        if (rows.length > 0) controller.enqueue(rows);
+      },
+    });
+  }
+}
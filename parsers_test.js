@@ -0,0 +1,84 @@
+import * as shoulda from "@philc/shoulda";
+const { assert, context, should } = shoulda;
+
+import { CsvParserStream, NdjsonParserStream } from "./parsers.js";
+
+// Returns the rows produced by piping `chunks` through `parser`.
+async function parse(parser, chunks) {
+  const batches = await Array.fromAsync(ReadableStream.from(chunks).pipeThrough(parser));
+  return batches.flat();
+}
+
+// Returns the message of the error produced by piping `chunks` through `parser`.
+function parseError(parser, chunks) {
+  return parse(parser, chunks).then(() => null, (error) => error.message);
+}
+
+context("CsvParserStream", () => {
+  should("parse rows using the header", async () => {
+    const rows = await parse(new CsvParserStream(), ["country,m1\r\nUS,1\r\n\nJP,", "2"]);
+    assert.equal([{ country: "US", m1: "1" }, { country: "JP", m1: "2" }], rows);
+  });
+
+  should("parse quoted fields which span chunks", async () => {
+    const bytes = new TextEncoder().encode('name,note\n"Smith, J","said ""hi""\nthen left"\n');
+    const chunks = Array.from(bytes, (byte) => new Uint8Array([byte]));
+    assert.equal(
+      [{ name: "Smith, J", note: 'said "hi"\nthen left' }],
+      await parse(new CsvParserStream(), chunks),
+    );
+  });
+
+  should("use the columns, delimiter and types options", async () => {
+    const parser = new CsvParserStream({
+      columns: ["d1", "m1", "m2"],
+      delimiter: "\t",
+      types: { m1: "number", m2: (s) => s.toUpperCase() },
+    });
+    assert.equal(
+      [{ d1: "a", m1: 1.5, m2: "X" }, { d1: "b", m1: null, m2: "Y" }],
+      await parse(parser, ["a\t1.5\tx\nb\t\ty"]),
+    );
+  });
+
+  should("error on malformed input", async () => {
+    assert.isTrue((await parseError(new CsvParserStream(), ["a,b\n1,2\n3\n"])).includes("Line 3"));
+    assert.isTrue((await parseError(new CsvParserStream(), ['a\n"1\n'])).includes("isn't closed"));
+    const parser = new CsvParserStream({ types: { m1: "number" } });
+    assert.equal(
+      `Line 3, column m1: "abc" isn't a number.`,
+      await parseError(parser, ["d1,m1\na,1\nb,abc\n"]),
+    );
+  });
+
+  should("decode an incomplete character at the end of the input", async () => {
+    const bytes = new TextEncoder().encode("d1\nx\u20ac");
+    assert.equal(
+      [{ d1: "x\ufffd" }],
+      await parse(new CsvParserStream(), [bytes.subarray(0, bytes.length - 1)]),
+    );
+  });
+});
+
+context("NdjsonParserStream", () => {
+  should("parse rows which span chunks", async () => {
+    const rows = await parse(new NdjsonParserStream(), [
+      '{"d1": "a", "m1"',
+      ": 1}\n\n",
+      '{"d1": "b"}',
+    ]);
+    assert.equal([{ d1: "a", m1: 1 }, { d1: "b" }], rows);
+  });
+
+  should("error on invalid JSON", async () => {
+    assert.isTrue(
+      (await parseError(new NdjsonParserStream(), ['{"a": 1}\n{a}\n'])).includes("Line 2"),
+    );
+    // An incomplete character at the end of the input isn't dropped.
+    const bytes = new TextEncoder().encode('{"a": 1}\n\u20ac');
+    assert.isTrue(
+      (await parseError(new NdjsonParserStream(), [bytes.subarray(0, bytes.length - 1)]))
+        .includes("Line 2"),
+    );
+  });
+});
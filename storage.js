@@ -0,0 +1,265 @@
+//
+// Storage adapters, which let a DataCube be written and read wherever its bytes can be kept: files
+// in Deno or Node, URLs, or in a browser, the Origin Private File System and IndexedDB. E.g.:
+//   await dc.writeToStorage(opfsStorage(), "sales");
+//   const dc = await DataCube.readFromStorage(opfsStorage(), "sales");
+//
+// A storage adapter is an object with these methods, which each take the name of a file:
+// - createWritable(name): returns a promise of a WritableStream of bytes, which replaces the file.
+// - openReadable(name): returns a promise of a ReadableStream of the file's bytes.
+// - rangeReader(name): returns a function which takes a byte offset and a length, and returns a
+//   promise of the bytes in that range of the file. This is used to read parts of datacubes which
+//   were written as a single file. See ContainerReader.open in container.js.
+// Adapters which can't write, like urlStorage, throw from createWritable.
+//
+// Adapters only refer to the APIs of their runtime when they're used, so this module can be loaded
+// in every runtime.
+
+// Returns a rangeReader function which reads ranges of the Blob returned by `getBlob`. The Blob is
+// only fetched once.
+function blobRangeReader(getBlob) {
+  let blob = null;
+  return async (offset, length) => {
+    blob ||= await getBlob();
+    return new Uint8Array(await blob.slice(offset, offset + length).arrayBuffer());
+  };
+}
+
+// Returns a storage adapter for files, using Deno's file APIs. Names are file paths.
+export function denoFileStorage() {
+  return {
+    async createWritable(path) {
+      return (await Deno.create(path)).writable;
+    },
+    async openReadable(path) {
+      return (await Deno.open(path)).readable;
+    },
+    rangeReader(path) {
+      return async (offset, length) => {
+        const file = await Deno.open(path);
+        try {
+          await file.seek(offset, Deno.SeekMode.Start);
+          const bytes = new Uint8Array(length);
+          let bytesRead = 0;
+          while (bytesRead < length) {
+            const n = await file.read(bytes.subarray(bytesRead));
+            if (n == null) break;
+            bytesRead += n;
+          }
+          return bytes.subarray(0, bytesRead);
+        } finally {
+          file.close();
+        }
+      };
+    },
+  };
+}
+
+// Returns a storage adapter for files, using Node's `fs` module. Names are file paths.
+export function nodeFileStorage() {
+  let modules = null;
+  const importModules = () =>
+    modules ||= Promise.all([
+      import("node:fs"),
+      import("node:fs/promises"),
+      import("node:stream"),
+    ]);
+  return {
+    async createWritable(path) {
+      const [fs, _, stream] = await importModules();
+      return stream.Writable.toWeb(fs.createWriteStream(path));
+    },
+    async openReadable(path) {
+      const [_, fsPromises, stream] = await importModules();
+      // Opening the file first means that a missing file is reported here, rather than by the
+      // stream once it's read.
+      const fileHandle = await fsPromises.open(path);
+      return stream.Readable.toWeb(fileHandle.createReadStream());
+    },
+    rangeReader(path) {
+      return async (offset, length) => {
+        const [_, fsPromises] = await importModules();
+        const fileHandle = await fsPromises.open(path);
+        try {
+          const bytes = new Uint8Array(length);
+          let bytesRead = 0;
+          while (bytesRead < length) {
+            const result = await fileHandle.read(
+              bytes,
+              bytesRead,
+              length - bytesRead,
+              offset + bytesRead,
+            );
+            if (result.bytesRead == 0) break;
+            bytesRead += result.bytesRead;
+          }
+          return bytes.subarray(0, bytesRead);
+        } finally {
+          await fileHandle.close();
+        }
+      };
+    },
+  };
+}
+
+// Returns a read-only storage adapter for URLs, using fetch. Ranges are read using HTTP range
+// requests. If the server ignores the Range header and returns the whole file, as servers of static
+// files sometimes do and as fetch does for file: URLs, the file is kept in memory and later ranges
+// are read from it.
+// - fetchOptions: optional; options for fetch, e.g. headers to authenticate with.
+export function urlStorage(fetchOptions) {
+  return {
+    createWritable(url) {
+      return Promise.reject(new Error(`Datacubes can't be written to URLs: ${url}`));
+    },
+    async openReadable(url) {
+      const response = await fetch(url, fetchOptions);
+      if (!response.ok) {
+        await response.body?.cancel();
+        throw new Error(`Fetching ${url} failed with status ${response.status}.`);
+      }
+      return response.body;
+    },
+    rangeReader(url) {
+      let wholeFile = null;
+      return async (offset, length) => {
+        if (wholeFile) return wholeFile.subarray(offset, offset + length);
+        const headers = new Headers(fetchOptions?.headers);
+        headers.set("Range", `bytes=${offset}-${offset + length - 1}`);
+        const response = await fetch(url, { ...fetchOptions, headers });
+        // 416 means that the range starts past the end of the file.
+        if (response.status == 416) {
+          await response.body?.cancel();
+          return new Uint8Array(0);
+        }
+        if (!response.ok) {
+          await response.body?.cancel();
+          throw new Error(`Fetching ${url} failed with status ${response.status}.`);
+        }
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        if (response.status == 206) return bytes;
+        wholeFile = bytes;
+        return wholeFile.subarray(offset, offset + length);
+      };
+    },
+  };
+}
+
+// Returns a storage adapter for the Origin Private File System of browsers. Names are the names of
+// files in `directory`, and can't contain "/".
+// - directory: optional; a FileSystemDirectoryHandle. Defaults to the root directory of the origin
+//   private file system.
+export function opfsStorage(directory) {
+  const getFileHandle = async (name, create) => {
+    directory ||= await navigator.storage.getDirectory();
+    return await directory.getFileHandle(name, { create });
+  };
+  const getFile = async (name) => await (await getFileHandle(name, false)).getFile();
+  return {
+    async createWritable(name) {
+      return await (await getFileHandle(name, true)).createWritable();
+    },
+    async openReadable(name) {
+      return (await getFile(name)).stream();
+    },
+    rangeReader(name) {
+      return blobRangeReader(() => getFile(name));
+    },
+  };
+}
+
+// Returns a storage adapter which stores each file as a Blob in an IndexedDB object store, keyed by
+// its name. A file is stored once its stream is closed.
+// - options: optional.
+//   - databaseName: the name of the database, which is created if necessary. Defaults to
+//     "datacube".
+//   - storeName: the name of the object store, which is created if necessary. Several stores can
+//     share a database. Defaults to "files".
+//   - indexedDB: the IDBFactory to use. Defaults to the global `indexedDB`.
+export function indexedDbStorage(options) {
+  const databaseName = options?.databaseName || "datacube";
+  const storeName = options?.storeName || "files";
+  let database = null;
+
+  // Returns a promise of the database opened at `version`, or at its current version if `version`
+  // is undefined. The object store is created if the database is upgraded.
+  const open = (version) =>
+    new Promise((resolve, reject) => {
+      const request = (options?.indexedDB || globalThis.indexedDB).open(databaseName, version);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(storeName)) db.createObjectStore(storeName);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+  // Object stores can only be created while a database is upgraded, so when the database exists
+  // without this store, e.g. because it was created for another storeName, it's reopened at the
+  // next version to create the store.
+  const openDatabase = () =>
+    database ||= (async () => {
+      let db = await open();
+      while (!db.objectStoreNames.contains(storeName)) {
+        db.close();
+        db = await open(db.version + 1);
+      }
+      // Another connection's upgrade waits until this one is closed. It's reopened when it's next
+      // used.
+      db.onversionchange = () => {
+        db.close();
+        database = null;
+      };
+      return db;
+    })().catch((error) => {
+      // Don't keep the failure, so that the next use retries opening the database.
+      database = null;
+      throw error;
+    });
+
+  // Runs `makeRequest` with the object store, in a transaction with `mode`, and returns a promise
+  // of the result of the request which it returns, once the transaction completes.
+  const runTransaction = async (mode, makeRequest) => {
+    const db = await openDatabase();
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = makeRequest(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  const getBlob = async (name) => {
+    const blob = await runTransaction("readonly", (store) => store.get(name));
+    if (blob == null) {
+      throw new Error(
+        `The IndexedDB store ${databaseName}/${storeName} has no file named ${name}.`,
+      );
+    }
+    return blob;
+  };
+
+  return {
+    createWritable(name) {
+      // Each chunk is copied into a Blob as it's written, since writers can reuse their buffers.
+      const blobs = [];
+      return Promise.resolve(
+        new WritableStream({
+          write(chunk) {
+            blobs.push(new Blob([chunk]));
+          },
+          close() {
+            return runTransaction("readwrite", (store) => store.put(new Blob(blobs), name));
+          },
+        }),
+      );
+    },
+    async openReadable(name) {
+      return (await getBlob(name)).stream();
+    },
+    rangeReader(name) {
+      return blobRangeReader(() => getBlob(name));
+    },
+  };
+}
@@ -0,0 +1,161 @@
+import * as shoulda from "@philc/shoulda";
+const { assert, context, setup, should, teardown } = shoulda;
+
+import { indexedDbStorage, nodeFileStorage, opfsStorage } from "./storage.js";
+
+// An in-memory stand-in for a FileSystemDirectoryHandle of the origin private file system, with the
+// parts of its API which opfsStorage uses.
+class FakeDirectoryHandle {
+  constructor() {
+    this.files = new Map();
+  }
+
+  getFileHandle(name, options) {
+    if (!this.files.has(name) && !options?.create) {
+      return Promise.reject(new DOMException(`${name} wasn't found.`, "NotFoundError"));
+    }
+    if (!this.files.has(name)) this.files.set(name, new Blob([]));
+    return Promise.resolve({
+      getFile: () => Promise.resolve(this.files.get(name)),
+      createWritable: () => {
+        const blobs = [];
+        return Promise.resolve(
+          new WritableStream({
+            write: (chunk) => blobs.push(new Blob([chunk])),
+            close: () => this.files.set(name, new Blob(blobs)),
+          }),
+        );
+      },
+    });
+  }
+}
+
+// Returns an in-memory stand-in for an IDBFactory, with the parts of the IndexedDB API which
+// indexedDbStorage uses, for a single database. Requests succeed asynchronously, like real ones,
+// except that the next open fails if the factory's `openError` is set.
+function createFakeIndexedDB() {
+  const stores = new Map();
+  let version = 0;
+  const makeRequest = (getResult) => {
+    const request = {};
+    setTimeout(() => {
+      request.result = getResult();
+      request.onsuccess?.();
+    });
+    return request;
+  };
+  const database = {
+    get version() {
+      return version;
+    },
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    close() {},
+    createObjectStore: (name) => stores.set(name, new Map()),
+    transaction: (storeName) => {
+      const store = stores.get(storeName);
+      const transaction = {
+        objectStore: () => ({
+          get: (key) => makeRequest(() => store.get(key)),
+          put: (value, key) => makeRequest(() => store.set(key, value)),
+        }),
+      };
+      setTimeout(() => setTimeout(() => transaction.oncomplete()));
+      return transaction;
+    },
+  };
+  return {
+    openError: null,
+    open(_name, requestedVersion) {
+      const request = {};
+      setTimeout(() => {
+        if (this.openError) {
+          request.error = this.openError;
+          this.openError = null;
+          request.onerror();
+          return;
+        }
+        request.result = database;
+        const newVersion = requestedVersion ?? Math.max(version, 1);
+        if (newVersion > version) {
+          version = newVersion;
+          request.onupgradeneeded();
+        }
+        request.onsuccess();
+      });
+      return request;
+    },
+  };
+}
+
+// Writes the bytes 1-5 to the file `name` using `storage`, and reads them back whole and in ranges.
+async function roundTrip(storage, name) {
+  const writer = (await storage.createWritable(name)).getWriter();
+  await writer.write(Uint8Array.from([1, 2, 3]));
+  await writer.write(Uint8Array.from([4, 5]));
+  await writer.close();
+  const whole = new Uint8Array(await new Response(await storage.openReadable(name)).arrayBuffer());
+  const readRange = storage.rangeReader(name);
+  return [whole, await readRange(1, 3), await readRange(4, 10)];
+}
+
+context("storage", () => {
+  const expected = [
+    Uint8Array.from([1, 2, 3, 4, 5]),
+    Uint8Array.from([2, 3, 4]),
+    Uint8Array.from([5]),
+  ];
+
+  context("nodeFileStorage", () => {
+    let tmpFolder;
+
+    setup(async () => {
+      tmpFolder = await Deno.makeTempDir();
+    });
+
+    should("write and read files", async () => {
+      assert.equal(expected, await roundTrip(nodeFileStorage(), tmpFolder + "/file.bin"));
+    });
+
+    should("report missing files when they're opened", async () => {
+      const message = await nodeFileStorage().openReadable(tmpFolder + "/missing.bin")
+        .catch((error) => error.message);
+      assert.isTrue(message.includes("missing.bin"));
+    });
+
+    teardown(async () => {
+      await Deno.remove(tmpFolder, { recursive: true });
+    });
+  });
+
+  should("write and read files in the origin private file system", async () => {
+    const directory = new FakeDirectoryHandle();
+    assert.equal(expected, await roundTrip(opfsStorage(directory), "dc.bin"));
+    assert.equal(["dc.bin"], Array.from(directory.files.keys()));
+  });
+
+  should("write and read files in IndexedDB", async () => {
+    const storage = indexedDbStorage({ indexedDB: createFakeIndexedDB() });
+    assert.equal(expected, await roundTrip(storage, "dc.bin"));
+    const message = await storage.openReadable("missing.bin").catch((error) => error.message);
+    assert.equal("The IndexedDB store datacube/files has no file named missing.bin.", message);
+  });
+
+  should("create a store for each storeName in the same IndexedDB database", async () => {
+    const indexedDB = createFakeIndexedDB();
+    const files = indexedDbStorage({ indexedDB });
+    assert.equal(expected, await roundTrip(files, "dc.bin"));
+    const cache = indexedDbStorage({ indexedDB, storeName: "cache" });
+    assert.equal(expected, await roundTrip(cache, "cached.bin"));
+    const message = await cache.openReadable("dc.bin").catch((error) => error.message);
+    assert.equal("The IndexedDB store datacube/cache has no file named dc.bin.", message);
+  });
+
+  should("retry opening the IndexedDB database after it fails to open", async () => {
+    const indexedDB = createFakeIndexedDB();
+    indexedDB.openError = new Error("The database can't be opened.");
+    const storage = indexedDbStorage({ indexedDB });
+    const message = await storage.openReadable("dc.bin").catch((error) => error.message);
+    assert.equal("The database can't be opened.", message);
+    assert.equal(expected, await roundTrip(storage, "dc.bin"));
+  });
+});
@@ -0,0 +1,244 @@
+//
+// T-digests estimate quantiles (e.g. the median or the 99th percentile) of a set of numbers, using
+// a small amount of memory. Like HyperLogLog sketches, two t-digests can be merged into a t-digest
+// of the union of their values, so quantile metrics stay correct when `select` combines cells.
+//
+// A t-digest summarizes the values as a list of centroids (a mean and a weight), which are kept
+// small near the tails of the distribution, where accuracy matters most for percentiles like p99.
+// This implements the "merging" variant. See Dunning and Ertl, "Computing extremely accurate
+// quantiles using t-digests" (2019).
+
+// Maps a quantile to the "k-scale", which limits the size of centroids. Adjacent centroids can be
+// merged only if they span at most 1 unit on this scale.
+function kScale(q, compression) {
+  return compression / (2 * Math.PI) * Math.asin(2 * q - 1);
+}
+
+export class TDigest {
+  // - compression: higher values use more centroids, and give more accurate quantiles. Typically
+  //   between 20 and 1000.
+  constructor(compression) {
+    this.compression = compression;
+    this.means = [];
+    this.weights = [];
+    // Values which have been added, but not yet merged into the centroids.
+    this.buffer = [];
+    this.min = Infinity;
+    this.max = -Infinity;
+  }
+
+  add(value) {
+    this.buffer.push(value);
+    if (value < this.min) this.min = value;
+    if (value > this.max) this.max = value;
+    if (this.buffer.length >= this.compression * 5) this.compress();
+  }
+
+  // Merges the values summarized by `other` into this t-digest.
+  merge(other) {
+    other.compress();
+    if (other.means.length == 0) return;
+    this.compress();
+    const means = this.means.concat(other.means);
+    const weights = this.weights.concat(other.weights);
+    this.min = Math.min(this.min, other.min);
+    this.max = Math.max(this.max, other.max);
+    this.setCentroids(means, weights);
+  }
+
+  // Merges the buffered values into the centroids.
+  compress() {
+    if (this.buffer.length == 0) return;
+    const means = this.means.concat(this.buffer);
+    const weights = this.weights.concat(this.buffer.map(() => 1));
+    this.buffer = [];
+    this.setCentroids(means, weights);
+  }
+
+  // Replaces the centroids with the given (unsorted) centroids, merging adjacent ones where the
+  // k-scale allows.
+  setCentroids(means, weights) {
+    const order = means.map((_, i) => i).sort((a, b) => means[a] - means[b]);
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    this.means = [];
+    this.weights = [];
+    let mean = means[order[0]];
+    let weight = weights[order[0]];
+    // The total weight of the centroids before the current one.
+    let weightSoFar = 0;
+    for (let i = 1; i < order.length; i++) {
+      const nextMean = means[order[i]];
+      const nextWeight = weights[order[i]];
+      const q0 = weightSoFar / totalWeight;
+      const q2 = (weightSoFar + weight + nextWeight) / totalWeight;
+      if (kScale(q2, this.compression) - kScale(q0, this.compression) <= 1) {
+        mean += (nextMean - mean) * nextWeight / (weight + nextWeight);
+        weight += nextWeight;
+      } else {
+        this.means.push(mean);
+        this.weights.push(weight);
+        weightSoFar += weight;
+        mean = nextMean;
+        weight = nextWeight;
+      }
+    }
+    this.means.push(mean);
+    this.weights.push(weight);
+  }
+
+  // Returns the estimated value at quantile `q` (between 0 and 1), or null if no values have been
+  // added.
+  quantile(q) {
+    this.compress();
+    const count = this.means.length;
+    if (count == 0) return null;
+    if (count == 1) return this.means[0];
+    const totalWeight = this.weights.reduce((sum, w) => sum + w, 0);
+    const target = q * totalWeight;
+    // Each centroid's mean is treated as the value at the center of its weight. Values between
+    // centers are interpolated, and values beyond the first and last centers are interpolated
+    // towards the min and max.
+    let center = this.weights[0] / 2;
+    if (target <= center) {
+      return this.min + (this.means[0] - this.min) * (target / center);
+    }
+    for (let i = 0; i < count - 1; i++) {
+      const nextCenter = center + (this.weights[i] + this.weights[i + 1]) / 2;
+      if (target <= nextCenter) {
+        const fraction = (target - center) / (nextCenter - center);
+        return this.means[i] + (this.means[i + 1] - this.means[i]) * fraction;
+      }
+      center = nextCenter;
+    }
+    const lastWeight = this.weights[count - 1] / 2;
+    const fraction = Math.min(1, (target - center) / lastWeight);
+    return this.means[count - 1] + (this.max - this.means[count - 1]) * fraction;
+  }
+}
+
+// An array of t-digests, indexed by row index. Digests are created when a row's first value is
+// added or merged into it, so rows whose digests are empty take no memory.
+export class TDigestColumn {
+  constructor(compression) {
+    this.compression = compression;
+    // The t-digest of each row, or null for empty digests.
+    this.digests = [];
+  }
+
+  get length() {
+    return this.digests.length;
+  }
+
+  // Grows the column so that it has a digest at `rowIndex`.
+  _grow(rowIndex) {
+    while (this.digests.length <= rowIndex) this.digests.push(null);
+  }
+
+  // Returns the t-digest at `rowIndex`, creating it if necessary.
+  getDigest(rowIndex) {
+    this._grow(rowIndex);
+    if (this.digests[rowIndex] == null) {
+      this.digests[rowIndex] = new TDigest(this.compression);
+    }
+    return this.digests[rowIndex];
+  }
+
+  // Adds `value` to the t-digest at `rowIndex`. Values which aren't numbers are ignored, although
+  // the column still grows to include `rowIndex`.
+  add(rowIndex, value) {
+    if (typeof value != "number" || isNaN(value)) {
+      this._grow(rowIndex);
+      return;
+    }
+    this.getDigest(rowIndex).add(value);
+  }
+
+  // Merges the t-digest at `srcRowIndex` of `srcColumn` into the t-digest at `rowIndex`.
+  merge(rowIndex, srcColumn, srcRowIndex) {
+    const srcDigest = srcColumn.digests[srcRowIndex];
+    if (srcDigest == null) {
+      this._grow(rowIndex);
+      return;
+    }
+    this.getDigest(rowIndex).merge(srcDigest);
+  }
+
+  // Returns the estimated value at quantile `q` of the t-digest at `rowIndex`, or null if no values
+  // have been added to it.
+  quantile(rowIndex, q) {
+    return this.digests[rowIndex]?.quantile(q) ?? null;
+  }
+
+  // Returns an empty column with the same compression.
+  createEmpty() {
+    return new TDigestColumn(this.compression);
+  }
+
+  clone() {
+    const dest = this.createEmpty();
+    for (let rowIndex = 0; rowIndex < this.length; rowIndex++) {
+      dest.merge(rowIndex, this, rowIndex);
+    }
+    return dest;
+  }
+
+  // Returns the centroids of every t-digest in the column, in this format (little endian):
+  // - the number of digests, as a Uint32, followed by each digest:
+  //   - the number of centroids, as a Uint32
+  //   - min and max, as Float64s
+  //   - the means of the centroids, then the weights of the centroids, as Float64s
+  // Empty digests are written as digests with no centroids.
+  toBytes() {
+    const emptyDigest = new TDigest(this.compression);
+    const digests = this.digests.map((digest) => digest ?? emptyDigest);
+    for (const digest of digests) digest.compress();
+    const byteLength = digests.reduce((sum, d) => sum + 20 + d.means.length * 16, 4);
+    const view = new DataView(new ArrayBuffer(byteLength));
+    let offset = 0;
+    view.setUint32(offset, this.length, true);
+    offset += 4;
+    for (const digest of digests) {
+      view.setUint32(offset, digest.means.length, true);
+      view.setFloat64(offset + 4, digest.min, true);
+      view.setFloat64(offset + 12, digest.max, true);
+      offset += 20;
+      for (const values of [digest.means, digest.weights]) {
+        for (const value of values) {
+          view.setFloat64(offset, value, true);
+          offset += 8;
+        }
+      }
+    }
+    return new Uint8Array(view.buffer);
+  }
+
+  // Returns a new column with the same compression, containing the t-digests in `bytes`, which
+  // were returned by toBytes.
+  fromBytes(bytes) {
+    const column = this.createEmpty();
+    if (bytes.length == 0) return column;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 0;
+    const count = view.getUint32(offset, true);
+    offset += 4;
+    column._grow(count - 1);
+    for (let rowIndex = 0; rowIndex < count; rowIndex++) {
+      const centroidCount = view.getUint32(offset, true);
+      if (centroidCount == 0) {
+        offset += 20;
+        continue;
+      }
+      const digest = column.getDigest(rowIndex);
+      digest.min = view.getFloat64(offset + 4, true);
+      digest.max = view.getFloat64(offset + 12, true);
+      offset += 20;
+      for (const values of [digest.means, digest.weights]) {
+        for (let i = 0; i < centroidCount; i++) {
+          values.push(view.getFloat64(offset, true));
+          offset += 8;
+        }
+      }
+    }
+    return column;
+  }
+}
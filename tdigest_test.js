@@ -0,0 +1,72 @@
+import * as shoulda from "@philc/shoulda";
+const { assert, context, should } = shoulda;
+
+import { TDigest, TDigestColumn } from "./tdigest.js";
+
+context("tdigest", () => {
+  const assertNear = (expected, actual, tolerance) => {
+    assert.isTrue(Math.abs(actual - expected) <= tolerance);
+  };
+
+  should("estimate quantiles of a uniform distribution", () => {
+    const digest = new TDigest(100);
+    for (let i = 0; i <= 10_000; i++) {
+      // Add the values out of order.
+      digest.add((i * 7919) % 10_001);
+    }
+    assertNear(5000, digest.quantile(0.5), 50);
+    assertNear(9500, digest.quantile(0.95), 20);
+    assertNear(9900, digest.quantile(0.99), 5);
+    assert.equal(0, digest.quantile(0));
+    assert.equal(10_000, digest.quantile(1));
+  });
+
+  should("handle small digests", () => {
+    const digest = new TDigest(100);
+    assert.equal(null, digest.quantile(0.5));
+    digest.add(3);
+    assert.equal(3, digest.quantile(0.5));
+    digest.add(5);
+    assert.equal(4, digest.quantile(0.5));
+  });
+
+  should("merge digests", () => {
+    const column = new TDigestColumn(100);
+    for (let i = 0; i < 1000; i++) {
+      column.add(0, i);
+      column.add(1, i + 1000);
+    }
+    column.merge(2, column, 0);
+    column.merge(2, column, 1);
+    assertNear(1000, column.quantile(2, 0.5), 10);
+    assertNear(1980, column.quantile(2, 0.99), 5);
+  });
+
+  should("round trip through bytes", () => {
+    const column = new TDigestColumn(50);
+    for (let i = 0; i < 500; i++) column.add(i % 3, i);
+    const copy = column.fromBytes(column.toBytes());
+    for (let rowIndex = 0; rowIndex < 3; rowIndex++) {
+      assert.equal(column.quantile(rowIndex, 0.9), copy.quantile(rowIndex, 0.9));
+    }
+  });
+
+  should("only create digests for rows which have values", () => {
+    const column = new TDigestColumn(50);
+    const source = new TDigestColumn(50);
+    assert.equal(null, column.quantile(5, 0.5));
+    column.merge(0, source, 5);
+    assert.equal([1, 0], [column.length, source.length]);
+    column.add(3, null);
+    column.add(1, 7);
+    column.merge(2, column, 0);
+    assert.equal(4, column.length);
+    assert.equal([false, true, false, false], column.digests.map((digest) => digest != null));
+    const copy = column.fromBytes(column.toBytes());
+    assert.equal(
+      [null, 7, null, null],
+      [0, 1, 2, 3].map((rowIndex) => copy.quantile(rowIndex, 0.5)),
+    );
+    assert.equal([false, true, false, false], copy.digests.map((digest) => digest != null));
+  });
+});